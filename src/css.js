@@ -0,0 +1,229 @@
+/*
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2017 Fabian Mastenbroek
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ */
+
+/*
+ * Style normalization and scoped styles for the vdom.js library. Style 
+ * objects are normalized in the same way by the DOM and string renderers, 
+ * while `css()` turns a style object into a scoped class name.
+ */
+
+/**
+ * The CSS rules of the class names generated by {@link css}.
+ */
+const registry = new Map();
+
+/**
+ * The `<style>` element the rules are injected into on the client.
+ */
+let sheet = null;
+
+/**
+ * Convert the given (camel-cased) style property name into its CSS name, such
+ * as `fontSize` into `font-size`. Custom properties are left untouched.
+ *
+ * @param {string} name The name of the style property.
+ * @return {string} The CSS name of the property.
+ */
+export function hyphenate(name) {
+	if (name.startsWith('--')) {
+		return name;
+	}
+	return name.replace(/[A-Z]/g, c => '-' + c.toLowerCase()).replace(/^ms-/, '-ms-');
+}
+
+/**
+ * Normalize the given value of a style property, where numbers get a `px` 
+ * unit unless the property is unitless (such as `opacity` or `zIndex`).
+ *
+ * @param {string} name The name of the style property.
+ * @param {any} value The value of the style property.
+ * @return {string} The CSS value of the property or <code>null</code> if the 
+ * property should not be set.
+ */
+export function styleValue(name, value) {
+	if (value == null || value === false || value === '') {
+		return null;
+	} else if (typeof value === 'number' && value !== 0 && !name.startsWith('--') 
+			&& UNITLESS.indexOf(hyphenate(name).replace(/^-(webkit|moz|ms|o)-/, '')) < 0) {
+		return value + 'px';
+	}
+	return String(value).trim();
+}
+
+/**
+ * Serialize the given style object into CSS declarations, such as 
+ * `font-size:12px;color:red`.
+ *
+ * @param {object} style The style object to serialize.
+ * @return {string} The CSS declarations of the style object.
+ */
+export function serializeStyle(style) {
+	return Object.keys(style)
+		.map(name => [hyphenate(name), styleValue(name, style[name])])
+		.filter(([, value]) => value !== null)
+		.map(([name, value]) => name + ':' + value)
+		.join(';');
+}
+
+/**
+ * Generate a scoped class name for the given style objects, which are merged
+ * from left to right. Nested objects apply to selectors relative to the 
+ * class: keys starting with `:` are pseudo-selectors (`':hover'`), `&` 
+ * refers to the class (`'&.active'`, `'ul > &'`), other keys select 
+ * descendants (`'span'`) and keys starting with `@` are at-rules, such as 
+ * media queries (`'@media (max-width: 600px)'`).
+ *
+ * The class name is derived from the styles, so the server and client agree 
+ * on it. On the client, the rules are injected into a `<style>` element in 
+ * the head of the document, while the string renderer can collect the rules
+ * used by the page via its `styles` option.
+ *
+ * @param {...object} styles The style objects to generate the class for.
+ * @return {string} The generated class name.
+ */
+export function css(...styles) {
+	const style = Object.assign({}, ...styles.filter(Boolean));
+	const name = 'css-' + hash(compile(style, '&').join(''));
+
+	if (!registry.has(name)) {
+		const rules = compile(style, '.' + name).join('');
+		registry.set(name, rules);
+		inject(rules);
+	}
+	return name;
+}
+
+/**
+ * Obtain the CSS rules of the given class name generated by {@link css}.
+ *
+ * @param {string} name The class name.
+ * @return {string} The CSS rules of the class or <code>null</code> if the 
+ * class was not generated by {@link css}.
+ */
+export function rulesOf(name) {
+	return registry.get(name) || null;
+}
+
+/**
+ * Compile the given style object into CSS rules for the given selector.
+ *
+ * @param {object} style The style object to compile.
+ * @param {string} selector The selector the style applies to.
+ * @return {Array} The CSS rules of the style object.
+ */
+function compile(style, selector) {
+	const declarations = {};
+	const nested = [];
+
+	for (let [key, value] of Object.entries(style)) {
+		if (!value || typeof value !== 'object') {
+			declarations[key] = value;
+		} else if (key[0] === '@') {
+			nested.push(`${key}{${compile(value, selector).join('')}}`);
+		} else {
+			const scoped = key.split(',')
+				.map(part => part.trim())
+				.map(part => {
+					if (part.indexOf('&') >= 0) {
+						return part.replace(/&/g, selector);
+					}
+					return part[0] === ':' ? selector + part : selector + ' ' + part;
+				})
+				.join(',');
+			nested.push(...compile(value, scoped));
+		}
+	}
+
+	const body = serializeStyle(declarations);
+	return (body ? [`${selector}{${body}}`] : []).concat(nested);
+}
+
+/**
+ * Inject the given CSS rules into the document, if there is one.
+ *
+ * @param {string} rules The CSS rules to inject.
+ */
+function inject(rules) {
+	if (typeof document === 'undefined') {
+		return;
+	}
+
+	if (!sheet) {
+		sheet = document.createElement('style');
+		sheet.setAttribute('data-css', '');
+		(document.head || document.documentElement).appendChild(sheet);
+	}
+	sheet.appendChild(document.createTextNode(rules));
+}
+
+/**
+ * Compute a short hash of the given string.
+ *
+ * @param {string} str The string to hash.
+ * @return {string} The hash of the string in base 36.
+ */
+function hash(str) {
+	let h = 5381;
+	for (let i = 0; i < str.length; i++) {
+		h = (h * 33) ^ str.charCodeAt(i);
+	}
+	return (h >>> 0).toString(36);
+}
+
+/**
+ * Style properties whose numeric values do not get a unit.
+ */
+const UNITLESS = [
+	'animation-iteration-count',
+	'border-image-outset',
+	'border-image-slice',
+	'border-image-width',
+	'box-flex',
+	'box-flex-group',
+	'box-ordinal-group',
+	'column-count',
+	'columns',
+	'fill-opacity',
+	'flex',
+	'flex-grow',
+	'flex-negative',
+	'flex-order',
+	'flex-positive',
+	'flex-shrink',
+	'flood-opacity',
+	'font-weight',
+	'grid-area',
+	'grid-column',
+	'grid-column-end',
+	'grid-column-span',
+	'grid-column-start',
+	'grid-row',
+	'grid-row-end',
+	'grid-row-span',
+	'grid-row-start',
+	'line-clamp',
+	'line-height',
+	'opacity',
+	'order',
+	'orphans',
+	'stop-opacity',
+	'stroke-dasharray',
+	'stroke-dashoffset',
+	'stroke-miterlimit',
+	'stroke-opacity',
+	'stroke-width',
+	'tab-size',
+	'widows',
+	'z-index',
+	'zoom'
+];
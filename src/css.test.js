@@ -0,0 +1,65 @@
+/*
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2017 Fabian Mastenbroek
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ */
+
+
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { h } from './vdom';
+import { css, rulesOf, serializeStyle } from './css';
+import { render } from './string';
+
+/*
+ * Checks for the scoped CSS-in-JS support.
+ */
+
+describe('css', () => {
+	const button = {
+		color: 'red',
+		padding: 4,
+		':hover': { color: 'blue' },
+		'span, &.on': { margin: 0 },
+		'@media (max-width: 10px)': { display: 'none' }
+	};
+
+	it('scopes the rules to a generated class name', () => {
+		const name = css(button);
+
+		assert.match(name, /^css-[a-z0-9]+$/);
+		assert.strictEqual(rulesOf(name), 
+			`.${name}{color:red;padding:4px}` + 
+			`.${name}:hover{color:blue}` + 
+			`.${name} span,.${name}.on{margin:0}` + 
+			`@media (max-width: 10px){.${name}{display:none}}`);
+	});
+
+	it('generates the same class name for the same styles', () => {
+		assert.strictEqual(css({ color: 'red' }, null, button), css(button));
+		assert.notStrictEqual(css({ color: 'green' }), css({ color: 'red' }));
+	});
+
+	it('serializes inline styles with units where needed', () => {
+		assert.strictEqual(serializeStyle({ 
+			fontSize: 12, lineHeight: 1.5, '--gap': 2, msFlex: 1, opacity: 0, width: null 
+		}), 'font-size:12px;line-height:1.5;--gap:2;-ms-flex:1;opacity:0');
+	});
+
+	it('collects the rules used by a page on the server', () => {
+		const styles = [];
+		const name = css(button);
+
+		render(h('div', { class: name }, h('p', { className: `${name} x` }), h('p', { class: 'y' })), 
+			{ styles });
+
+		assert.deepStrictEqual(styles, [rulesOf(name)]);
+	});
+});
@@ -11,12 +11,66 @@
  * furnished to do so, subject to the following conditions:
  */
 
-import { resolve, isPrimitive, different } from './vdom';
+import { Component, commit, applyRef, isPrimitive, isFragment, warn } from './vdom';
+import { createRenderer, nodes } from './renderer';
+import { setHandler, delegate, undelegate, listenTo } from './events';
+import { isFormProp, syncForm, CONTROLLED_EVENTS } from './forms';
+import { hyphenate, styleValue } from './css';
+import { sanitizeAttribute, checkInnerHTML, isValidAttribute } from './sanitize';
+
+export { SyntheticEvent } from './events';
 
 /*
  * A basic DOM renderer for the vdom.js library.
  */
 
+/**
+ * The host configuration that applies virtual dom trees to the DOM.
+ */
+const host = {
+	createElement(type, props, parent) {
+		// Create the element in the namespace it belongs to
+		const namespace = namespaceOf(type, parent);
+		return namespace === HTML_NAMESPACE ? 
+			document.createElement(type) : 
+			document.createElementNS(namespace, type);
+	},
+	createText(text) {
+		return document.createTextNode(text);
+	},
+	setText(dom, text) {
+		dom.nodeValue = text;
+	},
+	setProps(dom, props, prev) {
+		diffProps(dom, props, prev);
+	},
+	finalizeProps(dom, props, created) {
+		// Controlled form elements are restored to their props after events
+		if (syncForm(dom, props, created)) 
+			CONTROLLED_EVENTS.forEach(listenTo);
+	},
+	insertBefore(parent, child, before) {
+		parent.insertBefore(child, before);
+	},
+	removeChild(parent, child) {
+		parent.removeChild(child);
+	},
+	parentNode(dom) {
+		return dom.parentNode;
+	},
+	firstChild(dom) {
+		return dom.firstChild;
+	},
+	nextSibling(dom) {
+		return dom.nextSibling;
+	},
+	detach
+};
+
+/**
+ * The renderer that applies virtual dom trees to the DOM.
+ */
+const renderer = createRenderer(host);
 
 /**
  * Render a vnode (JSX) into the given DOM `Element`.
@@ -27,17 +81,76 @@ import { resolve, isPrimitive, different } from './vdom';
  * @return The DOM element that has been rendered into the parent.
  */
 export function render(node = '', parent, merge) {
-	const element = diff(merge, node, {});
-	
-	// If the result of the diff is not part of the parent, append it to the 
-	// parent.
-	if (parent && element.parentNode !== parent) {
-		parent.appendChild(element);
+	if (merge) {
+		const container = parent || merge.parentNode;
+		const root = renderer.resolve(node);
+		attach(container, root);
+		return ihydrate(merge, container, root);
 	}
 
+	// Create the DOM nodes and append them to the parent
+	const element = renderer.render(node, parent);
+
+	// Delegate the events of the tree to the parent, or to the element itself
+	// if there is no parent
+	if (parent) {
+		delegate(parent);
+	} else {
+		delegate(element, true);
+	}
 	return element;
 }
 
+/**
+ * Attach a vnode (JSX) to the existing markup in the given DOM `Element`, 
+ * which has been rendered by the string renderer. The existing DOM nodes are
+ * re-used, while event listeners are attached and components are mounted.
+ * In development mode, differences between the markup and the vnode are 
+ * reported.
+ *
+ * @param {object} node The virtual DOM node to attach to the markup.
+ * @param {Element} container The DOM element containing the markup.
+ * @return The DOM element that has been hydrated.
+ */
+export function hydrate(node = '', container) {
+	const dom = skipWhitespace(container.firstChild, node);
+	const root = renderer.resolve(node);
+	attach(container, root);
+	return ihydrate(dom, container, root);
+}
+
+/**
+ * Unmount the trees that have been rendered into the given DOM `Element`.
+ * The components in the trees are unmounted, after which their DOM nodes are
+ * removed and the events of the container are no longer delegated.
+ *
+ * @param {Element} container The DOM element the trees were rendered into.
+ * @return {bool} <code>true</code> if a tree was unmounted, 
+ * <code>false</code> otherwise.
+ */
+export function unmount(container) {
+	if (!renderer.unmount(container)) {
+		return false;
+	}
+
+	undelegate(container);
+	return true;
+}
+
+/**
+ * Remember that the given resolved tree has been rendered into the given 
+ * container and delegate the events of the tree to the container.
+ *
+ * @param {Element} container The DOM element the tree is rendered into.
+ * @param {object} root The resolved tree.
+ */
+function attach(container, root) {
+	if (container) {
+		renderer.attach(container, root);
+		delegate(container);
+	}
+}
+
 /**
  * Apply differences in a vnode (and its children) to a real DOM node.
  * 
@@ -47,11 +160,13 @@ export function render(node = '', parent, merge) {
  * @return {Element} The created or mutated DOM node. 
  */
 export function diff(dom = null, node, prev = {}) {
-	return idiff(dom, dom.parentNode, resolve(node, prev), prev);
+	delegate(dom && dom.parentNode);
+	return idiff(dom, dom && dom.parentNode, renderer.resolve(node, prev), prev);
 }
 
 /**
- * Apply differences in a vnode (and its children) to a real DOM node.
+ * Apply differences in a resolved vnode (and its children) to a real DOM 
+ * node.
  * 
  * @param {Element} [dom=null] A DOM node to mutate into the shape of the `vnode`.
  * @param {Element} parent The parent DOM node.
@@ -60,86 +175,483 @@ export function diff(dom = null, node, prev = {}) {
  * @return {Element} The created or mutated DOM node. 
  */
 export function idiff(dom = null, parent, node, prev = {}) {
-	if (!prev || !dom && node) {
-		// If there is no previous vnode or DOM node, create a new DOM node
-    	return parent.appendChild(domify(node));
-	} else if (!node) {
-		// If there is no new vnode, delete the corresponding DOM node.
-		return parent.removeChild(dom);
-	} else if (different(node, prev)) {
-		// If the previous and the new vnodes are of different type,
-		// replace the old DOM node with the new one.
-		const replacement = domify(node);
-		parent.replaceChild(replacement, dom);
-		return replacement;
+	return renderer.diff(dom, parent, node, prev);
+}
+
+/**
+ * This component animates its child when it is added to or removed from an
+ * existing tree, by applying the `<name>-enter` and `<name>-leave` classes 
+ * to the DOM element of the child, followed by `<name>-enter-active` and 
+ * `<name>-leave-active` in the next frame. The animation ends after `timeout` 
+ * milliseconds or, if no timeout is given, when the CSS transition or 
+ * animation of the element ends. A leaving element stays in the DOM until its
+ * animation has ended.
+ *
+ * @author Fabian Mastenbroek
+ */
+export class Transition extends Component {
+	/**
+	 * Animate the child of the transition when it enters.
+	 *
+	 * @param {function} done The function to invoke once the child entered.
+	 */
+	componentWillEnter(done) {
+		this._animate('enter', done);
+	}
+
+	/**
+	 * Animate the child of the transition when it leaves.
+	 *
+	 * @param {function} done The function to invoke once the child left.
+	 */
+	componentWillLeave(done) {
+		this._animate('leave', done);
+	}
+
+	/**
+	 * Render the child of the transition.
+	 *
+	 * @param {object} props The properties passed to this component.
+	 */
+	render(props) {
+		return props.children[0];
+	}
+
+	/**
+	 * Apply the classes of the given phase to the DOM element of the child 
+	 * until its animation has ended.
+	 *
+	 * @private
+	 * @param {string} phase The phase of the transition, `enter` or `leave`.
+	 * @param {function} done The function to invoke once the animation ended.
+	 */
+	_animate(phase, done) {
+		const dom = this._node && this._node._base;
+		const { name = 'transition', timeout } = this.props;
+
+		if (!dom || !dom.classList) {
+			done();
+			return;
+		}
+
+		const start = `${name}-${phase}`;
+		const active = `${start}-active`;
+		let timer = null;
+
+		const end = event => {
+			if (event && event.target !== dom) 
+				return;
+
+			clearTimeout(timer);
+			dom.removeEventListener('transitionend', end);
+			dom.removeEventListener('animationend', end);
+			dom.classList.remove(start, active);
+
+			// Leave no empty class attribute behind, like a plain render
+			if (!dom.classList.length)
+				dom.removeAttribute('class');
+			done();
+		};
+
+		dom.classList.add(start);
+		nextFrame(() => {
+			dom.classList.add(active);
+
+			if (typeof timeout === 'number') {
+				timer = setTimeout(end, timeout);
+			} else {
+				dom.addEventListener('transitionend', end);
+				dom.addEventListener('animationend', end);
+			}
+		});
+	}
+}
+
+/**
+ * Invoke the given function in the next animation frame.
+ *
+ * @param {function} fn The function to invoke.
+ */
+function nextFrame(fn) {
+	if (typeof requestAnimationFrame === 'function') {
+		requestAnimationFrame(fn);
+	} else {
+		setTimeout(fn, 16);
+	}
+}
+
+/**
+ * Replay the patches produced by a patcher of `vdom.js/patch` (for example 
+ * in a Web Worker) on the given DOM `Element`, which corresponds to the root
+ * of the patcher. The events of the elements are proxied to the given 
+ * function as serializable messages, which should be passed to the 
+ * `dispatch()` method of the patcher. As events are handled asynchronously,
+ * their default action cannot be prevented.
+ *
+ * @param {Element} root The DOM element that corresponds to the root.
+ * @param {array} patches The patches to replay.
+ * @param {function} [dispatch] The function to invoke with the messages 
+ * describing the events.
+ */
+export function applyPatches(root, patches, dispatch = () => {}) {
+	const dom = root._patched = root._patched || new Map([[0, root]]);
+	const created = new Set();
+	const changed = new Set();
+
+	delegate(root);
+
+	for (let patch of patches) {
+		const node = dom.get(patch.id);
+
+		switch (patch.op) {
+			case 'create': {
+				const element = patch.text !== undefined ? 
+					host.createText(patch.text) :
+					host.createElement(patch.type, {}, dom.get(patch.parent));
+
+				element._patchId = patch.id;
+				element._props = {};
+				dom.set(patch.id, element);
+				created.add(element);
+				break;
+			}
+			case 'insert':
+			case 'move':
+				dom.get(patch.parent).insertBefore(node, 
+					patch.before == null ? null : dom.get(patch.before));
+				break;
+			case 'remove':
+				removeNode(dom, node);
+				break;
+			case 'setText':
+				node.nodeValue = patch.text;
+				break;
+			case 'setProp':
+				node._props[patch.name] = patch.value;
+				setAttribute(node, patch.name, patch.value, patch.prev);
+				changed.add(node);
+				break;
+			case 'listen':
+				setHandler(node, patch.name, patch.listening ? 
+					event => dispatch(describeEvent(patch.id, patch.name, event)) : 
+					null);
+				break;
+		}
+	}
+
+	// The state of form elements is applied once all patches are replayed
+	for (let node of changed) {
+		syncForm(node, node._props, created.has(node));
+	}
+}
+
+/**
+ * Remove the given DOM node, which has been created by a patch, and forget
+ * the ids of the node and its descendants.
+ *
+ * @param {Map} dom The DOM nodes by their id.
+ * @param {Node} node The DOM node to remove.
+ */
+function removeNode(dom, node) {
+	if (node.parentNode) 
+		node.parentNode.removeChild(node);
+	detach(node);
+
+	const forget = child => {
+		dom.delete(child._patchId);
+		Array.from(child.childNodes).forEach(forget);
+	};
+	forget(node);
+}
+
+/**
+ * Describe the given event for the patcher that produced the element 
+ * handling the event, as a serializable message.
+ *
+ * @param {int} id The id of the element handling the event.
+ * @param {string} name The name of the handler.
+ * @param {SyntheticEvent} event The event to describe.
+ * @return {object} The message describing the event.
+ */
+function describeEvent(id, name, event) {
+	const description = {};
+
+	for (let key in event) {
+		const value = event[key];
+		if (!key.startsWith('_') 
+				&& (value == null || ['string', 'number', 'boolean'].includes(typeof value))) 
+			description[key] = value;
 	}
 
-	// If the virtual dom node is a primitive node, just change the value of
-	// the DOM text node
-	if (isPrimitive(node) && node !== prev) {
-		dom.nodeValue = node;
+	const target = event.target || {};
+	description.target = { 
+		id: target._patchId, 
+		value: target.value, 
+		checked: target.checked 
+	};
+	return { id, name, event: description };
+}
+
+/**
+ * Detach the event handlers of the given DOM node and its descendants.
+ *
+ * @param {Node} dom The DOM node to detach the handlers of.
+ */
+function detach(dom) {
+	if (dom && dom._listeners) {
+		delete dom._listeners;
+	}
+
+	for (let child of dom && dom.childNodes || []) {
+		detach(child);
+	}
+}
+
+/**
+ * Attach the given resolved vnode to an existing DOM node, re-using the DOM 
+ * node and its children where possible.
+ *
+ * @param {Node} dom The existing DOM node to attach the vnode to.
+ * @param {Element} parent The parent DOM node.
+ * @param {object} node The resolved vnode to attach.
+ * @return {Node} The re-used or created DOM node.
+ */
+function ihydrate(dom, parent, node) {
+	if (isPrimitive(node)) {
+		const text = String(node);
+
+		if (!text || !dom || dom.nodeType !== TEXT_NODE) {
+			// The string renderer does not emit empty text, so create it
+			// instead of taking the place of adjacent text
+			if (text) 
+				warn(`Expected text "${text}" while hydrating, but found ${describe(dom)}`);
+
+			const replacement = domify(node, parent);
+			parent.insertBefore(replacement, dom);
+			return replacement;
+		} else if (dom.nodeValue !== text) {
+			if (text && dom.nodeValue.startsWith(text)) {
+				// Adjacent text children are merged into a single DOM node by 
+				// the parser, so split the node again
+				dom.splitText(text.length);
+			} else {
+				warn(`Expected text "${text}" while hydrating, but found "${dom.nodeValue}"`);
+				dom.nodeValue = text;
+			}
+		}
+
+		node._base = dom;
 		return dom;
-	} 
+	} else if (isFragment(node)) {
+		// The children of a fragment are part of the parent DOM node
+		hydrateChildren(parent, node.children, dom);
+		node._base = nodes(node)[0];
+		commit(node);
+		return node._base;
+	} else if (!dom || dom.nodeType !== ELEMENT_NODE 
+			|| dom.nodeName.toLowerCase() !== String(node.type).toLowerCase()) {
+		warn(`Expected <${node.type}> while hydrating, but found ${describe(dom)}`);
 
-	// Diff the props of the virtual dom node
-	diffProps(dom, node.props, prev.props);
+		// Replace the DOM node with a new node that has the expected shape
+		const replacement = domify(node, parent);
+		if (dom) {
+			parent.replaceChild(replacement, dom);
+		} else {
+			parent.appendChild(replacement);
+		}
+		return replacement;
+	}
 
-	// Copy the current childNodes of the dom element
-	const childNodes = [...dom.childNodes];
+	node._base = dom;
 
-	// Get the children of the vnodes
-	const currChildren = node && node.children || [];
-	const prevChildren = prev && prev.children || []
-	const bound = Math.max(currChildren.length, prevChildren.length);
+	// Attach the event listeners and check the attributes of the node
+	hydrateProps(dom, node.props);
 
-	// Diff the children of the vnodes
-	for (let i = 0; i < bound; i++) {
-		idiff(childNodes[i], dom, currChildren[i], prevChildren[i]);
+	// The content of a `<textarea>` is its value, which is synchronized
+	// after the children
+	const props = node.props || {};
+	const content = props.dangerouslySetInnerHTML || node.type === 'textarea' 
+		&& (props.value != null || props.defaultValue != null);
+
+	if (!content) {
+		let cursor = hydrateChildren(dom, node.children, dom.firstChild);
+
+		// Remove the DOM nodes that have no counterpart in the vnode
+		while (cursor) {
+			const next = cursor.nextSibling;
+			if (cursor.nodeType !== TEXT_NODE || cursor.nodeValue.trim()) 
+				warn(`Unexpected ${describe(cursor)} in <${node.type}> while hydrating`);
+			dom.removeChild(cursor);
+			cursor = next;
+		}
 	}
 
+	// The state of form elements might have been changed before hydration
+	host.finalizeProps(dom, node.props, false);
+
+	applyRef(node.props && node.props.ref, dom);
+	commit(node);
 	return dom;
 }
 
 /**
- * Convert the given virtual DOM node into
- * a real DOM element.
+ * Attach the given resolved vnodes to the existing children of a DOM node,
+ * starting at the given DOM node.
  *
- * @param {object} node The virtual DOM node to convert.
- * @return {Element} The virtual DOM element
- * converted into a real DOM element.
+ * @param {Element} parent The DOM node containing the children.
+ * @param {array} children The resolved vnodes to attach.
+ * @param {Node} cursor The DOM node at which the children start.
+ * @return {Node} The DOM node following the last child.
  */
-function domify(node) {
-	if (isPrimitive(node) || !(node && node.type)) {
-		// If the vnode is primitive, create a text node containing the value
-		return document.createTextNode(node);
+function hydrateChildren(parent, children, cursor) {
+	for (let child of children) {
+		cursor = skipWhitespace(cursor, child);
+		ihydrate(cursor, parent, child);
+
+		const elements = nodes(child);
+		cursor = elements[elements.length - 1].nextSibling;
 	}
+	return cursor;
+}
 
-	// Create a new element with the given type
-	const element = document.createElement(String(node.type));
+/**
+ * Remove the whitespace the string renderer inserts between children, which
+ * has no counterpart in the vnode, starting at the given DOM node.
+ *
+ * @param {Node} dom The DOM node to start at.
+ * @param {object} node The vnode that should be attached to the DOM node.
+ * @return {Node} The first DOM node that is not inserted whitespace.
+ */
+function skipWhitespace(dom, node) {
+	const text = isPrimitive(node) ? String(node) : null;
 
-	// Set the base of the vnode
-	node._base = element;
+	while (dom && dom.nodeType === TEXT_NODE) {
+		const value = dom.nodeValue;
+		const trimmed = value.replace(/^\s+/, '');
 
-	// Apply attributes to dom element
-	diffProps(element, node.props);	
-	
-	// Create element for each child and append it to this
-	// DOM element
-	node.children
-		.map(domify)
-		.forEach(element.appendChild.bind(element));
-		
-	// If this node has components, inform them that they are mounted
-	// in reverse order
-	if (node._components) {
-		for (let i = node._components.length - 1; i >= 0; i--) {
-			node._components[i].componentDidMount();
+		if (value === trimmed || text && value.startsWith(text)) {
+			break;
+		} else if (trimmed) {
+			// Split the leading whitespace from the text
+			dom.splitText(value.length - trimmed.length);
 		}
-	} 
 
-	return element;
+		const next = dom.nextSibling;
+		dom.parentNode.removeChild(dom);
+		dom = next;
+	}
+	return dom;
+}
+
+/**
+ * Attach the event listeners in the given props to an existing DOM node and
+ * report attributes that differ from the props.
+ *
+ * @param {Element} dom The DOM node to attach the props to.
+ * @param {object} props The props of the vnode.
+ */
+function hydrateProps(dom, props = {}) {
+	for (let [name, value] of Object.entries(props)) {
+		if (/^on/.test(name)) {
+			setAttribute(dom, name, value);
+		} else if ((typeof value === 'string' || typeof value === 'number') 
+				&& name !== 'key' && name !== 'style' && !isFormProp(dom, name)) {
+			const attribute = name === 'className' ? 'class' : name;
+			const actual = dom.getAttribute(attribute);
+			const expected = sanitizeAttribute(dom.nodeName.toLowerCase(), name, value);
+
+			if (expected === null) {
+				// The URL was dropped by the URL policy
+				dom.removeAttribute(attribute);
+			} else if (actual !== String(expected)) {
+				warn(`Expected attribute ${attribute}="${expected}" on <${dom.nodeName.toLowerCase()}> while hydrating, but found ${actual === null ? 'none' : `"${actual}"`}`);
+				setAttribute(dom, name, value);
+			}
+		}
+	}
 }
 
+/**
+ * Describe the given DOM node for a development warning.
+ *
+ * @param {Node} dom The DOM node to describe.
+ * @return {string} A description of the DOM node.
+ */
+function describe(dom) {
+	if (!dom) {
+		return 'nothing';
+	} else if (dom.nodeType === TEXT_NODE) {
+		return `text "${dom.nodeValue}"`;
+	}
+	return `<${dom.nodeName.toLowerCase()}>`;
+}
+
+/**
+ * The type of DOM element nodes.
+ */
+const ELEMENT_NODE = 1;
+
+/**
+ * The type of DOM text nodes.
+ */
+const TEXT_NODE = 3;
+
+/**
+ * Convert the given resolved vnode into a real DOM node.
+ *
+ * @param {object} node The resolved vnode to convert.
+ * @param {Node} parent The DOM node the new node will be part of, which 
+ * determines the namespace of the node.
+ * @return {Node} The created DOM node.
+ */
+function domify(node, parent) {
+	return renderer.create(node, parent)[0];
+}
+
+/**
+ * Determine the namespace of an element of the given type that will be part
+ * of the given DOM node. The namespace switches to SVG at `<svg>` and to 
+ * MathML at `<math>`, and back to HTML inside `<foreignObject>`.
+ *
+ * @param {string} type The type of the element.
+ * @param {Node} [parent] The DOM node the element will be part of.
+ * @return {string} The namespace of the element.
+ */
+function namespaceOf(type, parent) {
+	if (type === 'svg') {
+		return SVG_NAMESPACE;
+	} else if (type === 'math') {
+		return MATHML_NAMESPACE;
+	} else if (!parent || !parent.namespaceURI || parent.localName === 'foreignObject') {
+		return HTML_NAMESPACE;
+	}
+	return parent.namespaceURI;
+}
+
+/**
+ * The namespace of HTML elements.
+ */
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+/**
+ * The namespace of SVG elements.
+ */
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+/**
+ * The namespace of MathML elements.
+ */
+const MATHML_NAMESPACE = 'http://www.w3.org/1998/Math/MathML';
+
+/**
+ * The namespaces of prefixed attributes.
+ */
+const ATTRIBUTE_NAMESPACES = {
+	xlink: 'http://www.w3.org/1999/xlink',
+	xml: 'http://www.w3.org/XML/1998/namespace',
+	xmlns: 'http://www.w3.org/2000/xmlns/'
+};
+
 /**
  * Apply differences in props to the given DOM node.
  *
@@ -173,34 +685,61 @@ function setAttribute(dom, name, value, prev) {
 	} else if (name === 'class' && value && typeof value === 'object') {
 		value = Object.keys(value).map(key => value[key] ? key : "").join(" ");
 	} 
+
+	// Drop URLs that are rejected by the URL policy
+	value = sanitizeAttribute(dom.nodeName.toLowerCase(), name, value);
 	
 	const matcher = /^on/;
 	
-	if (name === 'key') {
-		// ignore
+	if (name === 'key' || name === 'ref' || isFormProp(dom, name)) {
+		// ignore, the state of form elements is applied after their children
+	} else if (name === 'class' && dom.namespaceURI !== HTML_NAMESPACE) {
+		// The class name of SVG elements can only be set as attribute
+		dom.setAttribute('class', value || '');
 	} else if (name === 'class') {
 		dom.className = value || '';
 	} else if (name === 'style') {
-		if (!value || typeof value === 'string' || typeof prev === 'string') {
+		if (!value || typeof value !== 'object') {
 			dom.style.cssText = value || '';
-		} else if (value && typeof value === 'object') {
-			if (typeof prev !== 'string') {
-				Object.keys(prev).filter(key => !(key in value)).forEach(key => dom.style[key] = '');
+		} else {
+			if (!prev || typeof prev !== 'object') {
+				// Start from scratch if the previous style was not an object
+				dom.style.cssText = '';
+				prev = {};
 			}
 			
-			Object.keys(value).forEach(key => dom.style[key] = value[key]);
+			Object.keys(prev).filter(key => !(key in value)).forEach(key => setStyle(dom, key, null));
+			Object.keys(value).forEach(key => setStyle(dom, key, value[key]));
 		}
 	} else if (name === 'dangerouslySetInnerHTML') {
 		// React compatibility
+		if (value !== prev) 
+			checkInnerHTML(dom.nodeName.toLowerCase(), value);
 		dom.innerHTML = value && value.__html || '';
 	} else if (matcher.test(name)) {
-		// If the prop is an event listener, add/remove the event listener 
-		// to/from the DOM node
-		const type = name.substring(2).toLowerCase();
-		
-		// Remove the old event listener and replace it with the new one.
-		dom.removeEventListener(type, prev);
-		dom.addEventListener(type, value);
+		// If the prop is an event handler, store the handler on the DOM node,
+		// so the event can be delegated to it by the render root
+		if (value !== prev) 
+			setHandler(dom, name, value);
+	} else if (!isValidAttribute(name)) {
+		// Drop invalid attribute names, like the string renderer does
+		if (value !== prev) 
+			warn(`Dropped the invalid attribute name "${name}" on <${dom.nodeName.toLowerCase()}>`);
+	} else if (dom.namespaceURI !== HTML_NAMESPACE) {
+		// The properties of SVG and MathML elements are read-only, so only 
+		// set the attribute, in the namespace of its prefix
+		const [prefix, local] = name.split(':');
+		const namespace = local && ATTRIBUTE_NAMESPACES[prefix];
+
+		if ((value == null || value === false) && namespace) {
+			dom.removeAttributeNS(namespace, local);
+		} else if (value == null || value === false) {
+			dom.removeAttribute(name);
+		} else if (namespace) {
+			dom.setAttributeNS(namespace, name, value);
+		} else {
+			dom.setAttribute(name, value);
+		}
 	} else if (name !== 'list' && name in dom) {
 		try {
 			dom.setAttribute(name, value);
@@ -211,3 +750,25 @@ function setAttribute(dom, name, value, prev) {
 		}
 	}
 }
+
+/**
+ * Set the given style property of a DOM node, normalizing its name and 
+ * value in the same way as the string renderer.
+ *
+ * @param {Element} dom The DOM node to set the style property of.
+ * @param {string} name The (camel-cased) name of the style property.
+ * @param {any} value The value of the style property, which is removed if the
+ * value is <code>null</code> or <code>false</code>.
+ */
+function setStyle(dom, name, value) {
+	const property = hyphenate(name);
+	value = styleValue(name, value);
+
+	if (value === null) {
+		dom.style.removeProperty(property);
+	} else {
+		const important = /\s*!important$/.exec(value);
+		dom.style.setProperty(property, important ? value.slice(0, important.index) : value, 
+			important ? 'important' : '');
+	}
+}
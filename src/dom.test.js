@@ -0,0 +1,356 @@
+/*
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2017 Fabian Mastenbroek
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ */
+
+
+import assert from 'assert';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import { JSDOM } from 'jsdom';
+import { h, Component, flushSync } from './vdom';
+import { render as renderToString } from './string';
+import { render, hydrate, unmount, Transition } from './dom';
+
+/*
+ * Checks for the DOM renderer, which run against the DOM of jsdom.
+ */
+
+const { window } = new JSDOM('<!DOCTYPE html><body></body>');
+global.document = window.document;
+
+/**
+ * Create a container holding the given markup.
+ *
+ * @param {string} html The markup of the container.
+ * @return {Element} The container.
+ */
+function container(html) {
+	const dom = document.createElement('div');
+	dom.innerHTML = html;
+	return dom;
+}
+
+describe('hydration', () => {
+	let warnings;
+
+	beforeEach(() => {
+		warnings = mock.method(console, 'warn', () => {}).mock;
+	});
+
+	afterEach(() => {
+		mock.restoreAll();
+	});
+
+	class Counter extends Component {
+		constructor(props, context) {
+			super(props, context);
+			this.state = { count: props.start };
+		}
+
+		render(props, { count }) {
+			return h('div', { className: 'counter' },
+				h('button', { onClick: () => this.setState({ count: count + 1 }) }, '+'),
+				'count: ', String(count)
+			);
+		}
+	}
+
+	it('re-uses the server-rendered nodes', () => {
+		const root = container(renderToString(h(Counter, { start: 3 })));
+		const div = root.firstChild;
+		const button = div.querySelector('button');
+
+		assert.strictEqual(hydrate(h(Counter, { start: 3 }), root), div);
+		assert.strictEqual(div.querySelector('button'), button);
+		assert.strictEqual(root.innerHTML, 
+			'<div class="counter"><button>+</button>count: 3</div>');
+		assert.strictEqual(warnings.callCount(), 0);
+	});
+
+	it('attaches the event handlers', () => {
+		const root = container(renderToString(h(Counter, { start: 3 })));
+		hydrate(h(Counter, { start: 3 }), root);
+
+		flushSync(() => root.querySelector('button').click());
+
+		assert.strictEqual(root.textContent, '+count: 4');
+	});
+
+	it('does not consume adjacent text for empty text', () => {
+		const node = () => h('p', {}, '', 'name', h('b', {}, '', 'x'));
+
+		for (let format of [null, 'compact', 'pretty']) {
+			const root = container(renderToString(node(), { format }));
+			hydrate(node(), root);
+
+			assert.strictEqual(root.innerHTML, '<p>name<b>x</b></p>');
+		}
+		assert.strictEqual(warnings.callCount(), 0);
+	});
+
+	it('reports and repairs differences with the markup', () => {
+		const root = container('<div class="x"><span>no</span></div>');
+
+		hydrate(h('div', { className: 'y' }, h('b', {}, 'yes')), root);
+
+		assert.strictEqual(root.innerHTML, '<div class="y"><b>yes</b></div>');
+		assert.ok(warnings.callCount() > 0);
+	});
+});
+
+describe('events', () => {
+	let root, calls;
+
+	beforeEach(() => {
+		root = document.body.appendChild(document.createElement('div'));
+		calls = [];
+	});
+
+	afterEach(() => {
+		unmount(root);
+		root.remove();
+	});
+
+	const log = name => event => calls.push(`${name} ${event.currentTarget.id}`);
+
+	it('dispatches capture handlers before bubbling handlers', () => {
+		render(h('div', { id: 'outer', onClick: log('click'), onClickCapture: log('capture') },
+			h('button', { id: 'inner', onClick: log('click'), onClickCapture: log('capture') })
+		), root);
+
+		root.querySelector('button').click();
+
+		assert.deepStrictEqual(calls, 
+			['capture outer', 'capture inner', 'click inner', 'click outer']);
+	});
+
+	it('stops the propagation to the handlers of other elements', () => {
+		render(h('div', { id: 'outer', onClick: log('click') },
+			h('button', { id: 'inner', onClick: event => event.stopPropagation() })
+		), root);
+
+		root.querySelector('button').click();
+
+		assert.deepStrictEqual(calls, []);
+	});
+
+	it('dispatches events once across nested render roots', () => {
+		render(h('div', { id: 'outer', onClick: log('click'), onFocus: log('focus') },
+			h('section', { id: 'nested' })
+		), root);
+		render(h('button', { id: 'inner', onClick: log('click'), onFocus: log('focus') }), 
+			root.querySelector('section'));
+
+		root.querySelector('button').click();
+		root.querySelector('button').dispatchEvent(new window.Event('focus'));
+
+		assert.deepStrictEqual(calls, ['click inner', 'click outer', 'focus inner']);
+		unmount(root.querySelector('section'));
+	});
+
+	it('restores controlled checkboxes to their props', () => {
+		render(h('input', { type: 'checkbox', checked: false, onChange: log('change') }), root);
+		const input = root.querySelector('input');
+
+		input.click();
+
+		assert.strictEqual(input.checked, false);
+	});
+
+	it('batches the updates caused by other clicks', async () => {
+		class Counter extends Component {
+			render(props, { count = 0 }) {
+				const increment = () => this.setState(state => ({ count: (state.count || 0) + 1 }));
+				return h('button', { onClick: increment }, String(count));
+			}
+		}
+		render(h(Counter), root);
+
+		root.querySelector('button').click();
+		root.querySelector('button').click();
+
+		assert.strictEqual(root.textContent, '0');
+
+		await new Promise(resolve => setTimeout(resolve));
+
+		assert.strictEqual(root.textContent, '2');
+	});
+});
+
+describe('namespaces', () => {
+	const SVG = 'http://www.w3.org/2000/svg';
+	const HTML = 'http://www.w3.org/1999/xhtml';
+	const MATHML = 'http://www.w3.org/1998/Math/MathML';
+
+	it('creates SVG and MathML content in their namespaces', () => {
+		const root = container('');
+		render(h('div', {}, 
+			h('svg', { viewBox: '0 0 10 10' }, 
+				h('g', { className: 'shape' }, h('circle', { r: 5 }), h('use', { 'xlink:href': '#a' })),
+				h('foreignObject', {}, h('p', {}, 'html'))
+			),
+			h('math', {}, h('mi', {}, 'x'))
+		), root);
+
+		const namespace = selector => root.querySelector(selector).namespaceURI;
+
+		assert.deepStrictEqual(['div', 'svg', 'g', 'circle', 'p', 'math', 'mi'].map(namespace),
+			[HTML, SVG, SVG, SVG, HTML, MATHML, MATHML]);
+		assert.strictEqual(root.querySelector('svg').getAttribute('viewBox'), '0 0 10 10');
+		assert.strictEqual(root.querySelector('g').getAttribute('class'), 'shape');
+		assert.strictEqual(root.querySelector('use')
+			.getAttributeNS('http://www.w3.org/1999/xlink', 'href'), '#a');
+		unmount(root);
+	});
+});
+
+describe('unmount', () => {
+	it('removes the nodes of the trees rendered into the container', () => {
+		const root = container('<p>static</p>');
+		render(h('div', {}, 'a'), root);
+		render(h('div', {}, 'b'), root);
+
+		assert.strictEqual(unmount(root), true);
+		assert.strictEqual(root.innerHTML, '<p>static</p>');
+		assert.strictEqual(unmount(root), false);
+	});
+});
+
+describe('forms', () => {
+	let root;
+
+	beforeEach(() => {
+		root = document.body.appendChild(document.createElement('div'));
+	});
+
+	afterEach(() => {
+		unmount(root);
+		root.remove();
+	});
+
+	const type = (input, value) => {
+		input.value = value;
+		input.dispatchEvent(new window.Event('input', { bubbles: true }));
+	};
+
+	it('restores controlled inputs to their value', () => {
+		render(h('input', { value: 'fixed', onInput() {} }), root);
+		const input = root.querySelector('input');
+
+		type(input, 'typed');
+
+		assert.strictEqual(input.value, 'fixed');
+	});
+
+	it('keeps the value that the state was updated to', () => {
+		class Upper extends Component {
+			render(props, { value = '' }) {
+				return h('input', { value, 
+					onInput: event => this.setState({ value: event.target.value.toUpperCase() }) });
+			}
+		}
+		render(h(Upper), root);
+		const input = root.querySelector('input');
+
+		type(input, 'abc');
+
+		assert.strictEqual(input.value, 'ABC');
+	});
+
+	it('leaves uncontrolled inputs to the user', () => {
+		render(h('input', { defaultValue: 'initial' }), root);
+		const input = root.querySelector('input');
+
+		type(input, 'typed');
+
+		assert.strictEqual(input.value, 'typed');
+	});
+
+	it('selects the options of controlled selects', () => {
+		render(h('select', { value: 'b', onChange() {} }, 
+			h('option', { value: 'a' }, 'A'), 
+			h('option', { value: 'b' }, 'B')
+		), root);
+		const select = root.querySelector('select');
+
+		assert.strictEqual(select.value, 'b');
+
+		select.value = 'a';
+		select.dispatchEvent(new window.Event('change', { bubbles: true }));
+
+		assert.strictEqual(select.value, 'b');
+	});
+
+	it('serializes the state of form elements on the server', () => {
+		const form = h('form', {}, 
+			h('textarea', { value: '<a>' }),
+			h('select', { value: 'b' }, h('option', { value: 'a' }), h('option', { value: 'b' }))
+		);
+
+		assert.strictEqual(renderToString(form, { format: 'compact' }), 
+			'<form><textarea>&lt;a&gt;</textarea><select><option value="a"></option>' + 
+			'<option value="b" selected></option></select></form>');
+	});
+});
+
+describe('transitions', () => {
+	const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+	let list;
+
+	class List extends Component {
+		constructor(props, context) {
+			super(props, context);
+			list = this;
+			this.state = { items: props.items };
+		}
+
+		render(props, { items }) {
+			return h('ul', {}, items.map(item => 
+				h(Transition, { key: item, name: 'fade', timeout: 100 }, h('li', {}, item))));
+		}
+	}
+
+	it('applies the classes of the phases until the timeout', async () => {
+		const root = container('');
+		render(h(List, { items: [] }), root);
+
+		flushSync(() => list.setState({ items: ['a'] }));
+		const li = root.querySelector('li');
+
+		assert.strictEqual(li.className, 'fade-enter');
+
+		await wait(50);
+
+		assert.strictEqual(li.className, 'fade-enter fade-enter-active');
+
+		await wait(150);
+
+		assert.strictEqual(li.hasAttribute('class'), false);
+		unmount(root);
+	});
+
+	it('removes leaving elements once their animation has ended', async () => {
+		const root = container('');
+		render(h(List, { items: ['a', 'b'] }), root);
+		const leaving = root.querySelector('li');
+
+		flushSync(() => list.setState({ items: ['b'] }));
+
+		assert.strictEqual(root.textContent, 'ab');
+		assert.strictEqual(leaving.className, 'fade-leave');
+
+		await wait(200);
+
+		assert.strictEqual(root.textContent, 'b');
+		assert.strictEqual(leaving.parentNode, null);
+		unmount(root);
+	});
+});
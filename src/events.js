@@ -0,0 +1,287 @@
+/*
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2017 Fabian Mastenbroek
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ */
+
+import { flush } from './scheduler';
+import { restoreForm, isControlledEvent } from './forms';
+
+/*
+ * A delegated event system for the DOM renderer of the vdom.js library.
+ * Instead of attaching a listener to every element, a single listener per 
+ * event type is attached to each render root, which dispatches a synthetic 
+ * event to the handlers stored on the elements.
+ */
+
+/**
+ * The DOM elements into which trees have been rendered, mapped to whether 
+ * the element is itself part of the rendered tree, which is the case for 
+ * trees rendered without a parent.
+ */
+const roots = new Map();
+
+/**
+ * The event types for which handlers have been registered.
+ */
+const types = new Set();
+
+/**
+ * Events that do not bubble. These are caught in the capture phase at the
+ * root and only dispatched to their target.
+ */
+const NON_BUBBLING = [
+	'blur',
+	'focus',
+	'mouseenter',
+	'mouseleave',
+	'pointerenter',
+	'pointerleave',
+	'load',
+	'error',
+	'scroll',
+	'invalid',
+	'toggle',
+	'play',
+	'pause',
+	'ended',
+	'canplay',
+	'timeupdate',
+	'volumechange'
+];
+
+/**
+ * This class represents a normalized event that is dispatched to the event 
+ * handlers of the elements, wrapping the native DOM event.
+ *
+ * @author Fabian Mastenbroek
+ */
+export class SyntheticEvent {
+	/**
+	 * Construct a {@link SyntheticEvent} object.
+	 *
+	 * @param {Event} event The native DOM event to wrap.
+	 */
+	constructor(event) {
+		// Copy the values of the native event, like `key` or `clientX`
+		for (let key in event) {
+			if (typeof event[key] !== 'function' && !(key in this)) {
+				this[key] = event[key];
+			}
+		}
+
+		this.nativeEvent = event;
+		this.type = event.type;
+		this.target = event.target;
+		this.currentTarget = null;
+		this.defaultPrevented = event.defaultPrevented;
+
+		/** @private */
+		this._stopped = false;
+	}
+
+	/**
+	 * Prevent the default action of the event.
+	 */
+	preventDefault() {
+		this.defaultPrevented = true;
+		this.nativeEvent.preventDefault();
+	}
+
+	/**
+	 * Stop the propagation of the event to the handlers of other elements.
+	 */
+	stopPropagation() {
+		this._stopped = true;
+		this.nativeEvent.stopPropagation();
+	}
+
+	/**
+	 * Determine whether the default action of the event has been prevented.
+	 *
+	 * @return {bool} <code>true</code> if the default action has been 
+	 * prevented, <code>false</code> otherwise.
+	 */
+	isDefaultPrevented() {
+		return this.defaultPrevented;
+	}
+
+	/**
+	 * Determine whether the propagation of the event has been stopped.
+	 *
+	 * @return {bool} <code>true</code> if the propagation has been stopped, 
+	 * <code>false</code> otherwise.
+	 */
+	isPropagationStopped() {
+		return this._stopped;
+	}
+}
+
+/**
+ * Set the handler of the given event prop (e.g. `onClick` or `onClickCapture`)
+ * on the given DOM element. If `handler` is `null`, the handler is removed.
+ *
+ * @param {Element} dom The DOM element to set the handler on.
+ * @param {string} name The name of the event prop.
+ * @param {function} handler The event handler.
+ */
+export function setHandler(dom, name, handler) {
+	const capture = /Capture$/.test(name);
+	const type = name.substring(2, capture ? name.length - 7 : name.length)
+		.toLowerCase();
+	const listeners = dom._listeners = dom._listeners || {};
+
+	if (typeof handler !== 'function') {
+		delete listeners[type + (capture ? 'Capture' : '')];
+		return;
+	}
+
+	listeners[type + (capture ? 'Capture' : '')] = handler;
+	listenTo(type);
+}
+
+/**
+ * Make sure all render roots listen to the given type of event.
+ *
+ * @param {string} type The type of event.
+ */
+export function listenTo(type) {
+	if (!types.has(type)) {
+		types.add(type);
+		roots.forEach((inclusive, root) => listen(root, type));
+	}
+}
+
+/**
+ * Delegate the events of the elements in the given render root to the root.
+ *
+ * @param {Element} root The DOM element into which a tree is rendered.
+ * @param {bool} [inclusive=false] A flag to indicate that the root is itself
+ * the root element of the rendered tree, so it receives events as well.
+ */
+export function delegate(root, inclusive = false) {
+	if (root && !roots.has(root)) {
+		roots.set(root, inclusive);
+		types.forEach(type => listen(root, type));
+	}
+}
+
+/**
+ * Stop delegating the events of the elements in the given render root.
+ *
+ * @param {Element} root The DOM element into which a tree was rendered.
+ */
+export function undelegate(root) {
+	if (roots.delete(root)) {
+		types.forEach(type => 
+			root.removeEventListener(type, dispatch, NON_BUBBLING.includes(type)));
+	}
+}
+
+/**
+ * Listen to the given type of event on the given root.
+ *
+ * @param {Element} root The render root to listen on.
+ * @param {string} type The type of event.
+ */
+function listen(root, type) {
+	root.addEventListener(type, dispatch, NON_BUBBLING.includes(type));
+}
+
+/**
+ * Dispatch the given native event to the handlers of the elements between 
+ * its target and the render root receiving the event. Capture handlers are
+ * invoked from the root down to the target, after which the other handlers
+ * are invoked from the target up to the root.
+ *
+ * @param {Event} event The native event to dispatch.
+ */
+function dispatch(event) {
+	propagate(this, event, roots.get(this));
+
+	// Apply the updates caused by the event, after which controlled form 
+	// elements are restored to their props
+	if (isControlledEvent(event)) {
+		flush();
+		restoreForm(event.target);
+	}
+}
+
+/**
+ * Propagate the given native event to the handlers of the elements between 
+ * its target and the given render root.
+ *
+ * @param {Element} root The render root receiving the event.
+ * @param {Event} event The native event to propagate.
+ * @param {bool} [inclusive=false] A flag to indicate that the root itself is
+ * part of the rendered tree and receives the event as well.
+ */
+function propagate(root, event, inclusive = false) {
+	const synthetic = new SyntheticEvent(event);
+	const type = event.type;
+
+	if (NON_BUBBLING.includes(type)) {
+		// Only the target receives events that do not bubble, once, even if
+		// it is part of nested render roots
+		if (event._dispatched) {
+			return;
+		}
+
+		event._dispatched = root;
+		if (event.target !== root || inclusive) {
+			invoke(event.target, type + 'Capture', synthetic) 
+				&& invoke(event.target, type, synthetic);
+		}
+		return;
+	}
+
+	// A nested render root might already have dispatched the event to the
+	// elements below it
+	const start = event._dispatched ? event._dispatched.parentNode : event.target;
+	const path = [];
+
+	for (let node = start; node && (node !== root || inclusive); node = node.parentNode) {
+		path.push(node);
+
+		if (node === root) 
+			break;
+	}
+
+	event._dispatched = root;
+
+	for (let i = path.length - 1; i >= 0; i--) {
+		if (!invoke(path[i], type + 'Capture', synthetic)) 
+			return;
+	}
+
+	for (let node of path) {
+		if (!invoke(node, type, synthetic))
+			return;
+	}
+}
+
+/**
+ * Invoke the handler with the given name of the given DOM element.
+ *
+ * @param {Element} dom The DOM element to invoke the handler of.
+ * @param {string} name The name of the handler.
+ * @param {SyntheticEvent} event The event to pass to the handler.
+ * @return {bool} <code>true</code> if the event should propagate further,
+ * <code>false</code> otherwise.
+ */
+function invoke(dom, name, event) {
+	const handler = dom._listeners && dom._listeners[name];
+
+	if (handler) {
+		event.currentTarget = dom;
+		handler.call(dom, event);
+	}
+	return !event.isPropagationStopped();
+}
@@ -0,0 +1,180 @@
+/*
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2017 Fabian Mastenbroek
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ */
+
+/*
+ * Controlled form elements for the DOM renderer of the vdom.js library. The
+ * `value`, `checked` and `selected` props of form elements are the source of
+ * truth for their state, while `defaultValue` and `defaultChecked` only 
+ * provide the initial state of uncontrolled elements.
+ */
+
+/**
+ * The events after which controlled elements are restored to their props.
+ */
+export const CONTROLLED_EVENTS = ['input', 'change', 'click'];
+
+/**
+ * The props that determine the state of each type of form element.
+ */
+const FORM_PROPS = {
+	input: ['value', 'checked', 'defaultValue', 'defaultChecked'],
+	textarea: ['value', 'defaultValue'],
+	select: ['value', 'defaultValue'],
+	option: ['selected']
+};
+
+/**
+ * Determine whether the prop with the given name determines the state of the
+ * given DOM element, in which case it is applied by {@link syncForm} instead
+ * of as attribute.
+ *
+ * @param {Element} dom The DOM element.
+ * @param {string} name The name of the prop.
+ * @return {bool} <code>true</code> if the prop is a form prop, 
+ * <code>false</code> otherwise.
+ */
+export function isFormProp(dom, name) {
+	const props = FORM_PROPS[formType(dom)];
+	return !!props && props.includes(name);
+}
+
+/**
+ * Apply the form props of the given DOM element to its state, once its 
+ * children have been created. The state is only changed if it differs from 
+ * the props, so the cursor position is preserved.
+ *
+ * @param {Element} dom The DOM element to synchronize.
+ * @param {object} props The props of the element.
+ * @param {bool} created A flag to indicate whether the element has just been
+ * created, in which case the default state is applied.
+ * @return {bool} <code>true</code> if the element is controlled, 
+ * <code>false</code> otherwise.
+ */
+export function syncForm(dom, props = {}, created = false) {
+	const type = formType(dom);
+
+	if (!type) {
+		return false;
+	}
+
+	if (created && props.defaultChecked != null && type === 'input') {
+		dom.defaultChecked = !!props.defaultChecked;
+	}
+
+	if (created && props.defaultValue != null) {
+		if (type === 'select') {
+			select(dom, props.defaultValue);
+		} else {
+			dom.defaultValue = props.defaultValue;
+		}
+	}
+
+	if (props.checked != null && type === 'input' && dom.checked !== !!props.checked) {
+		dom.checked = !!props.checked;
+	}
+
+	if (props.selected != null && type === 'option' && dom.selected !== !!props.selected) {
+		dom.selected = !!props.selected;
+	}
+
+	if (props.value != null && type === 'select') {
+		select(dom, props.value);
+	} else if (props.value != null && type !== 'option' && dom.value !== String(props.value)) {
+		dom.value = props.value;
+	}
+
+	// Remember the props, so the element can be restored after an event
+	const controlled = props.value != null || props.checked != null || props.selected != null;
+	dom._controlled = controlled ? props : null;
+	return controlled;
+}
+
+/**
+ * Determine whether the given event might have changed the state of a form
+ * element, after which controlled elements are restored to their props. 
+ * Clicks only change the state of checkboxes and radio buttons.
+ *
+ * @param {Event} event The event to test.
+ * @return {bool} <code>true</code> if the event might have changed the state
+ * of a form element, <code>false</code> otherwise.
+ */
+export function isControlledEvent(event) {
+	if (event.type !== 'click') {
+		return CONTROLLED_EVENTS.includes(event.type);
+	}
+
+	const target = event.target;
+	return !!target && target.nodeName === 'INPUT' 
+		&& (target.type === 'checkbox' || target.type === 'radio');
+}
+
+/**
+ * Restore the state of the given DOM element to its props if it is 
+ * controlled, after an event might have changed its state. The other radio
+ * buttons in the group of a radio button are restored as well.
+ *
+ * @param {Element} dom The target of the event.
+ */
+export function restoreForm(dom) {
+	if (!dom || !dom._controlled) {
+		return;
+	}
+
+	syncForm(dom, dom._controlled);
+
+	if (dom.type === 'radio' && dom.name) {
+		const scope = dom.form || dom.ownerDocument;
+		const group = scope.querySelectorAll(`input[type="radio"][name="${dom.name}"]`);
+
+		for (let radio of group) {
+			if (radio !== dom && radio._controlled) 
+				syncForm(radio, radio._controlled);
+		}
+	}
+}
+
+/**
+ * Select the options of the given `<select>` element that have the given 
+ * value, or that are included in the given array of values for a 
+ * `<select multiple>`.
+ *
+ * @param {Element} dom The `<select>` element.
+ * @param {string|array} value The value(s) to select.
+ */
+function select(dom, value) {
+	const values = [].concat(value).map(String);
+
+	for (let option of dom.options) {
+		const selected = values.includes(option.value);
+
+		if (option.selected !== selected) 
+			option.selected = selected;
+	}
+}
+
+/**
+ * Determine the type of form element of the given DOM element.
+ *
+ * @param {Element} dom The DOM element.
+ * @return {string} The type of form element, or <code>null</code> if the 
+ * element is not a form element.
+ */
+function formType(dom) {
+	const type = dom && dom.nodeName && dom.nodeName.toLowerCase();
+	return FORM_PROPS[type] && dom.namespaceURI === HTML_NAMESPACE ? type : null;
+}
+
+/**
+ * The namespace of HTML elements.
+ */
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
@@ -0,0 +1,244 @@
+/*
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2017 Fabian Mastenbroek
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ */
+
+/*
+ * Hooks that allow functional components to hold state and perform side 
+ * effects. The state of the hooks is stored in the component instance that
+ * wraps the functional component.
+ */
+
+/**
+ * The component that is currently rendering its functional component.
+ */
+let current = null;
+
+/**
+ * The index of the next hook of the current component.
+ */
+let index = 0;
+
+/**
+ * Prepare the hooks of the given component before rendering its functional 
+ * component, or finish rendering if `component` is `null`.
+ *
+ * @param {Component} component The component that is about to render.
+ */
+export function prepareHooks(component) {
+	current = component;
+	index = 0;
+
+	if (component) {
+		component._hooks = component._hooks || [];
+		component._effects = component._effects || [];
+	}
+}
+
+/**
+ * Run the effects of the given component that are waiting to be run, after
+ * cleaning up their previous run.
+ *
+ * @param {Component} component The component to run the effects of.
+ */
+export function runEffects(component) {
+	const effects = component._effects || [];
+	component._effects = [];
+
+	for (let hook of effects) {
+		if (component._unmounted) 
+			return;
+
+		cleanup(hook);
+		hook.cleanup = hook.effect();
+	}
+}
+
+/**
+ * Clean up the effects of the given component, which is being unmounted.
+ *
+ * @param {Component} component The component to clean up.
+ */
+export function cleanupEffects(component) {
+	(component._hooks || []).forEach(cleanup);
+	component._effects = [];
+}
+
+/**
+ * Return a stateful value and a function to update it. Updating the value
+ * re-renders the component.
+ *
+ * @param initialState The initial value or a function computing it.
+ * @return {array} The current value and the function to update it.
+ */
+export function useState(initialState) {
+	return useReducer(invoke, initialState, 
+		state => typeof state === 'function' ? state() : state);
+}
+
+/**
+ * Return a stateful value and a function to dispatch actions that update the
+ * value using the given reducer.
+ *
+ * @param {function} reducer The function computing the next value from the 
+ * current value and an action.
+ * @param initialArg The initial value or the argument passed to `init`.
+ * @param {function} [init] A function computing the initial value.
+ * @return {array} The current value and the dispatch function.
+ */
+export function useReducer(reducer, initialArg, init) {
+	const component = currentComponent();
+	const hook = next(() => ({
+		value: init ? init(initialArg) : initialArg,
+		dispatch: action => {
+			const value = hook.reducer(hook.value, action);
+
+			if (value !== hook.value) {
+				hook.value = value;
+
+				// The state of the hooks is not compared by memoized 
+				// components, so force them to re-render
+				component._force = true;
+				component.setState({});
+			}
+		}
+	}));
+
+	hook.reducer = reducer;
+	return [hook.value, hook.dispatch];
+}
+
+/**
+ * Run the given effect after the component has been rendered into the DOM, 
+ * whenever one of the given dependencies changed. If the effect returns a 
+ * function, that function is invoked to clean up before the effect runs 
+ * again and when the component is unmounted.
+ *
+ * Effects are not run by the string renderer.
+ *
+ * @param {function} effect The effect to run.
+ * @param {array} [deps] The values the effect depends on.
+ */
+export function useEffect(effect, deps) {
+	const component = currentComponent();
+	const hook = next(() => ({}));
+
+	if (changed(hook.deps, deps)) {
+		hook.effect = effect;
+		hook.deps = deps;
+		component._effects.push(hook);
+	}
+}
+
+/**
+ * Return a memoized value that is only recomputed when one of the given 
+ * dependencies changed.
+ *
+ * @param {function} factory The function computing the value.
+ * @param {array} [deps] The values the computation depends on.
+ * @return The memoized value.
+ */
+export function useMemo(factory, deps) {
+	const hook = next(() => ({}));
+
+	if (changed(hook.deps, deps)) {
+		hook.value = factory();
+		hook.deps = deps;
+	}
+	return hook.value;
+}
+
+/**
+ * Return a mutable object whose `current` property is initialized to the
+ * given value, which persists for the lifetime of the component.
+ *
+ * @param initialValue The initial value of the `current` property.
+ * @return {object} The ref object.
+ */
+export function useRef(initialValue) {
+	return next(() => ({ current: initialValue }));
+}
+
+/**
+ * Return the nearest value provided for the given context, which has been 
+ * created by `createContext()`.
+ *
+ * @param {object} context The context to read.
+ * @return The value of the context.
+ */
+export function useContext(context) {
+	const ctx = currentComponent().context || {};
+	return context._id in ctx ? ctx[context._id] : context._defaultValue;
+}
+
+/**
+ * Obtain the component that is currently rendering its functional component.
+ *
+ * @return {Component} The current component.
+ */
+function currentComponent() {
+	if (!current) {
+		throw new Error('Hooks can only be called inside a functional component');
+	}
+	return current;
+}
+
+/**
+ * Obtain the state of the next hook of the current component, creating it if
+ * the component renders for the first time.
+ *
+ * @param {function} create The function creating the state of the hook.
+ * @return {object} The state of the hook.
+ */
+function next(create) {
+	const hooks = currentComponent()._hooks;
+
+	if (index >= hooks.length) {
+		hooks.push(create());
+	}
+	return hooks[index++];
+}
+
+/**
+ * Determine whether the given dependencies changed.
+ *
+ * @param {array} prev The previous dependencies.
+ * @param {array} deps The current dependencies.
+ * @return {bool} <code>true</code> if the dependencies changed or are not 
+ * given, <code>false</code> otherwise.
+ */
+function changed(prev, deps) {
+	return !prev || !deps || deps.length !== prev.length 
+		|| deps.some((dep, i) => dep !== prev[i]);
+}
+
+/**
+ * Clean up the previous run of the given effect hook.
+ *
+ * @param {object} hook The state of the effect hook.
+ */
+function cleanup(hook) {
+	if (typeof hook.cleanup === 'function') {
+		hook.cleanup();
+	}
+	hook.cleanup = null;
+}
+
+/**
+ * A reducer that applies a function to the state or replaces the state.
+ *
+ * @param state The current state.
+ * @param action A function computing the next state or the next state.
+ * @return The next state.
+ */
+function invoke(state, action) {
+	return typeof action === 'function' ? action(state) : action;
+}
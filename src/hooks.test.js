@@ -0,0 +1,88 @@
+/*
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2017 Fabian Mastenbroek
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ */
+
+
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { h, createContext } from './vdom';
+import { useState, useReducer, useEffect, useMemo, useRef, useContext } from './hooks';
+import { create, fire } from './test';
+
+/*
+ * Checks for the hooks of functional components.
+ */
+
+describe('hooks', () => {
+	it('keeps state between renders', () => {
+		const Counter = () => {
+			const [count, setCount] = useState(() => 1);
+			const [total, add] = useReducer((total, n) => total + n, 10);
+
+			return h('button', { onClick: () => { setCount(count + 1); add(count); } }, 
+				`${count} ${total}`);
+		};
+		const tree = create(h(Counter));
+
+		fire(tree.findByType('button'), 'click');
+		fire(tree.findByType('button'), 'click');
+
+		assert.strictEqual(tree.findByType('button').textContent, '3 13');
+	});
+
+	it('runs effects after rendering and cleans them up', () => {
+		const calls = [];
+		const Effect = ({ id }) => {
+			useEffect(() => {
+				calls.push(`run ${id}`);
+				return () => calls.push(`clean ${id}`);
+			}, [id]);
+			return h('span', {}, String(id));
+		};
+		const tree = create(h(Effect, { id: 1 }));
+
+		tree.update(h(Effect, { id: 1 }));
+		tree.update(h(Effect, { id: 2 }));
+		tree.unmount();
+
+		assert.deepStrictEqual(calls, ['run 1', 'clean 1', 'run 2', 'clean 2']);
+	});
+
+	it('memoizes values until their dependencies change', () => {
+		let computed = 0;
+		const refs = [];
+		const Memo = ({ n }) => {
+			const double = useMemo(() => ++computed && n * 2, [n]);
+			refs.push(useRef({}));
+			return h('span', {}, String(double));
+		};
+		const tree = create(h(Memo, { n: 1 }));
+
+		tree.update(h(Memo, { n: 1 }));
+		tree.update(h(Memo, { n: 2 }));
+
+		assert.strictEqual(tree.findByType('span').textContent, '4');
+		assert.strictEqual(computed, 2);
+		assert.ok(refs.every(ref => ref === refs[0]));
+	});
+
+	it('reads the value of the nearest provider', () => {
+		const Theme = createContext('light');
+		const Label = () => h('span', {}, useContext(Theme));
+		const tree = create(h('div', {}, 
+			h(Label), 
+			h(Theme.Provider, { value: 'dark' }, h('p', {}, h(Label)))
+		));
+
+		assert.strictEqual(tree.findByType('div').textContent, 'lightdark');
+	});
+});
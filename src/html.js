@@ -0,0 +1,318 @@
+/*
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2017 Fabian Mastenbroek
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ */
+
+import { h } from './vdom';
+
+/*
+ * A front end for the vdom.js library that produces vnodes from tagged 
+ * templates and html strings, for use without a JSX build step.
+ */
+
+/**
+ * Create vnodes from a tagged template, for example 
+ * `` html`<div class=${name}>${children}</div>` ``. The values may be used as
+ * text or children, as attribute values, as spread props (`<a ...${props}>`)
+ * or as tag names to render components (`<${Todo} todo=${todo} />`), which
+ * are closed by `</${Todo}>` or `<//>`. The structure of each template is 
+ * parsed once and cached.
+ *
+ * @param {array} strings The static parts of the template.
+ * @param {array} values The values interpolated into the template.
+ * @return {object|array} The vnode, or an array of vnodes if the template 
+ * contains multiple root nodes.
+ */
+export function html(strings, ...values) {
+	let template = cache.get(strings);
+
+	if (!template) {
+		template = tokenize(strings.join(MARKER), true);
+		cache.set(strings, template);
+	}
+
+	return build(template, values);
+}
+
+/**
+ * Convert the given static html into vnodes.
+ *
+ * @param {string} source The html to convert.
+ * @return {object|array} The vnode, or an array of vnodes if the html 
+ * contains multiple root nodes.
+ */
+export function parse(source) {
+	return build(tokenize(String(source).split(MARKER).join(''), false), []);
+}
+
+/**
+ * The parsed templates, by their static parts.
+ */
+const cache = new WeakMap();
+
+/**
+ * The marker that takes the place of the values in a template while it is
+ * parsed.
+ */
+const MARKER = '\u0000';
+
+/**
+ * Elements that do not require closing tags.
+ */
+const VOID_ELEMENTS = [
+	'area',
+	'base',
+	'br',
+	'col',
+	'embed',
+	'hr',
+	'img',
+	'input',
+	'link',
+	'meta',
+	'param',
+	'source',
+	'track',
+	'wbr'
+];
+
+/**
+ * Elements whose content is text instead of markup.
+ */
+const RAW_TEXT_ELEMENTS = [
+	'script',
+	'style',
+	'textarea',
+	'title'
+];
+
+/**
+ * Named character references that are decoded.
+ */
+const ENTITIES = {
+	amp: '&',
+	lt: '<',
+	gt: '>',
+	quot: '"',
+	apos: '\'',
+	nbsp: ' '
+};
+
+/**
+ * Parse the given html, in which the values of a template are replaced by
+ * markers, into the structure of the template. Elements are represented by
+ * `{ type, props, children }` objects, where each attribute is a list of 
+ * strings and value indices, and text by lists of strings and value 
+ * indices as well.
+ *
+ * @param {string} source The html to parse.
+ * @param {bool} trim A flag to indicate whether the text is trimmed like 
+ * in JSX, where the indentation of the lines is removed.
+ * @return {array} The root nodes of the template.
+ */
+function tokenize(source, trim) {
+	const root = { children: [] };
+	const stack = [root];
+	let slot = 0;
+	let pos = 0;
+
+	// Split the given text at the markers into strings and value indices
+	const parts = text => text.split(MARKER).reduce((result, part, i) => {
+		if (i) 
+			result.push(slot++);
+		if (part) 
+			result.push(decode(part));
+		return result;
+	}, []);
+
+	const text = value => {
+		if (trim && /\n/.test(value)) {
+			// Remove the indentation and the empty lines, like JSX
+			value = value.split('\n')
+				.map((line, i, lines) => {
+					line = i ? line.replace(/^\s+/, '') : line;
+					return i < lines.length - 1 ? line.replace(/\s+$/, '') : line;
+				})
+				.filter(line => line)
+				.join(' ');
+		}
+
+		// Whitespace that spans lines is formatting, not content
+		if (value && !(/\n/.test(value) && !value.trim())) 
+			stack[stack.length - 1].children.push(...parts(value));
+	};
+
+	while (pos < source.length) {
+		const open = source.indexOf('<', pos);
+
+		if (open < 0) {
+			text(source.slice(pos));
+			break;
+		}
+
+		text(source.slice(pos, open));
+
+		if (source.startsWith('<!--', open)) {
+			// Skip comments, including the values inside them
+			const end = source.indexOf('-->', open);
+			pos = end < 0 ? source.length : end + 3;
+			slot += countMarkers(source.slice(open, pos));
+			continue;
+		} else if (source.startsWith('<!', open) || source.startsWith('<?', open)) {
+			// Skip declarations, such as the doctype
+			const end = source.indexOf('>', open);
+			pos = end < 0 ? source.length : end + 1;
+			slot += countMarkers(source.slice(open, pos));
+			continue;
+		} else if (source[open + 1] === '/') {
+			// Close the innermost element
+			const end = source.indexOf('>', open);
+			pos = end < 0 ? source.length : end + 1;
+			slot += countMarkers(source.slice(open, pos));
+
+			if (stack.length > 1) 
+				stack.pop();
+			continue;
+		}
+
+		// Read the tag name, which may be a value
+		const tag = /^<([^\s/>]*)/.exec(source.slice(open))[1];
+		const node = { 
+			type: tag === MARKER ? slot++ : tag, 
+			props: [], 
+			children: [] 
+		};
+		pos = open + 1 + tag.length;
+
+		// Read the attributes of the element
+		const attribute = /^\s*(?:(\/?>)|\.\.\.\u0000|([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+?(?=\/?>|\s))))?)/;
+		let closed = false;
+		let match;
+
+		while (pos < source.length && (match = attribute.exec(source.slice(pos)))) {
+			pos += match[0].length;
+
+			if (match[1]) {
+				closed = match[1] === '/>';
+				break;
+			} else if (!match[2]) {
+				node.props.push({ spread: slot++ });
+			} else {
+				const value = [match[3], match[4], match[5]].find(v => v !== undefined);
+				node.props.push({ 
+					name: match[2], 
+					value: value === undefined ? [true] : parts(value) 
+				});
+			}
+		}
+
+		stack[stack.length - 1].children.push(node);
+
+		if (closed || VOID_ELEMENTS.includes(node.type)) {
+			continue;
+		} else if (RAW_TEXT_ELEMENTS.includes(node.type)) {
+			// The content of raw text elements is not parsed
+			const end = source.indexOf(`</${node.type}`, pos);
+			const content = source.slice(pos, end < 0 ? source.length : end);
+
+			if (content) 
+				node.children.push(...parts(content));
+			pos = end < 0 ? source.length : source.indexOf('>', end) + 1;
+			continue;
+		}
+
+		stack.push(node);
+	}
+
+	return root.children;
+}
+
+/**
+ * Count the markers in the given html.
+ *
+ * @param {string} source The html to count the markers in.
+ * @return {int} The number of markers.
+ */
+function countMarkers(source) {
+	return source.split(MARKER).length - 1;
+}
+
+/**
+ * Decode the character references in the given text.
+ *
+ * @param {string} text The text to decode.
+ * @return {string} The decoded text.
+ */
+function decode(text) {
+	return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (reference, name) => {
+		if (name[0] !== '#') {
+			return ENTITIES[name.toLowerCase()] || reference;
+		}
+
+		const code = name[1].toLowerCase() === 'x' ?
+			parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+
+		// Like browsers, replace references to null, surrogates and code 
+		// points out of range by the replacement character
+		if (code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) {
+			return '\uFFFD';
+		}
+		return String.fromCodePoint(code);
+	});
+}
+
+/**
+ * Create the vnodes of the given template structure with the given values.
+ *
+ * @param {array} nodes The root nodes of the template.
+ * @param {array} values The values interpolated into the template.
+ * @return {object|array} The vnode, or an array of vnodes if there are 
+ * multiple root nodes.
+ */
+function build(nodes, values) {
+	const children = nodes.map(node => instantiate(node, values));
+	return children.length === 1 ? children[0] : children;
+}
+
+/**
+ * Create the vnode of the given node of a template with the given values.
+ *
+ * @param {object|string|int} node The node of the template.
+ * @param {array} values The values interpolated into the template.
+ * @return The vnode.
+ */
+function instantiate(node, values) {
+	if (typeof node === 'string') {
+		return node;
+	} else if (typeof node === 'number') {
+		return values[node];
+	}
+
+	const props = {};
+
+	for (let prop of node.props) {
+		if (prop.spread !== undefined) {
+			Object.assign(props, values[prop.spread]);
+		} else if (prop.value.length === 1) {
+			// A single value is passed as is, so props can be functions and
+			// objects
+			const [value] = prop.value;
+			props[prop.name] = typeof value === 'number' ? values[value] : value;
+		} else {
+			props[prop.name] = prop.value
+				.map(value => typeof value === 'number' ? values[value] : value)
+				.join('');
+		}
+	}
+
+	const type = typeof node.type === 'number' ? values[node.type] : node.type;
+	return h(type, props, ...node.children.map(child => instantiate(child, values)));
+}
@@ -0,0 +1,67 @@
+/*
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2017 Fabian Mastenbroek
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ */
+
+
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { h } from './vdom';
+import { html, parse } from './html';
+import { render } from './string';
+
+/*
+ * Checks for the tagged-template and html string front end.
+ */
+
+describe('html', () => {
+	const Item = ({ text, children }) => h('li', {}, text, children);
+
+	it('interpolates values as children, attributes and props', () => {
+		const onClick = () => {};
+		const node = html`<a href="/items/${1}" ...${{ id: 'x' }} onClick=${onClick}>${'<b>'}</a>`;
+
+		assert.strictEqual(node.type, 'a');
+		assert.strictEqual(node.props.href, '/items/1');
+		assert.strictEqual(node.props.id, 'x');
+		assert.strictEqual(node.props.onClick, onClick);
+		assert.deepStrictEqual(node.children, ['<b>']);
+	});
+
+	it('renders components given as tag names', () => {
+		const node = html`<ul><${Item} text="a" /><${Item} text="b">!<//></ul>`;
+
+		assert.strictEqual(render(node, { format: 'compact' }), 
+			'<ul><li>a</li><li>b!</li></ul>');
+	});
+
+	it('returns an array for multiple root nodes', () => {
+		const nodes = html`<br><p>a</p>`;
+
+		assert.ok(Array.isArray(nodes));
+		assert.deepStrictEqual(nodes.map(node => node.type), ['br', 'p']);
+	});
+
+	it('decodes character references', () => {
+		assert.deepStrictEqual(parse('<p>&lt;&amp;&#x2713;&#169;&nbsp;</p>').children, 
+			['<&\u2713\u00A9\u00A0']);
+	});
+
+	it('decodes invalid character references to U+FFFD', () => {
+		assert.deepStrictEqual(parse('<p>&#0;&#x110000;&#xD800;&#99999999999;</p>').children, 
+			['\uFFFD'.repeat(4)]);
+	});
+
+	it('keeps the content of raw text elements', () => {
+		assert.deepStrictEqual(parse('<script>if (a < b) {}</script>').children, 
+			['if (a < b) {}']);
+	});
+});
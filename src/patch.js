@@ -0,0 +1,242 @@
+/*
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2017 Fabian Mastenbroek
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ */
+
+import { flushSync } from './vdom';
+import { createRenderer, objectHost } from './renderer';
+
+/*
+ * A renderer for the vdom.js library that does not touch the DOM, but 
+ * produces serializable lists of patches, so components can be rendered in a
+ * Web Worker (or another process) while `applyPatches()` of the DOM renderer
+ * replays the patches on the UI thread.
+ */
+
+/**
+ * Create a patcher, which renders vnodes into a shadow tree and reports the 
+ * changes to the shadow tree as a list of patches. Each patch is a plain 
+ * object with an `op` of `'create'`, `'insert'`, `'move'`, `'remove'`, 
+ * `'setProp'`, `'setText'` or `'listen'` and the `id` of the node it applies 
+ * to, where the id `0` refers to the root.
+ *
+ * @param {function} [send] The function to invoke with the patches produced 
+ * by updates of the components, such as `setState()`.
+ * @return {Patcher} The patcher.
+ */
+export function createPatcher(send) {
+	return new Patcher(send);
+}
+
+/**
+ * A renderer that produces serializable patches instead of changing the DOM.
+ *
+ * @author Fabian Mastenbroek
+ */
+export class Patcher {
+	/**
+	 * Construct a {@link Patcher} object.
+	 *
+	 * @param {function} [send] The function to invoke with the patches 
+	 * produced by updates of the components.
+	 */
+	constructor(send = () => {}) {
+		/** @private */
+		this._send = send;
+		/** @private */
+		this._patches = [];
+		/** @private */
+		this._nodes = new Map();
+		/** @private */
+		this._ids = 0;
+		/** @private */
+		this._container = this._node(null);
+		/** @private */
+		this._renderer = createRenderer(this._host());
+	}
+
+	/**
+	 * Render the given vnode (JSX) into the root, updating the components 
+	 * that were rendered before.
+	 *
+	 * @param {object} node The virtual dom node to render.
+	 * @return {array} The patches that apply the changes to the root.
+	 */
+	render(node = '') {
+		flushSync(() => this._renderer.update(node, this._container));
+		return this._take();
+	}
+
+	/**
+	 * Unmount the components that were rendered and remove their nodes.
+	 *
+	 * @return {array} The patches that remove the nodes from the root.
+	 */
+	unmount() {
+		flushSync(() => this._renderer.unmount(this._container));
+		return this._take();
+	}
+
+	/**
+	 * Invoke the event handler of a node for an event that has been proxied 
+	 * by `applyPatches()`. The target of the event is described by its `id`,
+	 * `value` and `checked` state. The patches produced by the handler are 
+	 * sent.
+	 *
+	 * @param {object} message The message describing the event, consisting of
+	 * the `id` of the node, the `name` of the handler and the `event`.
+	 * @return The value returned by the handler.
+	 */
+	dispatch({ id, name, event = {} }) {
+		const node = this._nodes.get(id);
+		const handler = node && node.props[name];
+
+		if (typeof handler !== 'function') {
+			return;
+		}
+
+		const synthetic = Object.assign({}, event, {
+			target: Object.assign({ id }, event.target),
+			currentTarget: { id },
+			preventDefault() {},
+			stopPropagation() {}
+		});
+
+		const result = flushSync(() => handler(synthetic));
+		this._flush();
+		return result;
+	}
+
+	/**
+	 * Take the patches that have been produced so far.
+	 *
+	 * @private
+	 * @return {array} The patches.
+	 */
+	_take() {
+		return this._patches.splice(0);
+	}
+
+	/**
+	 * Send the patches that have been produced by updates of the components.
+	 *
+	 * @private
+	 */
+	_flush() {
+		const patches = this._take();
+
+		if (patches.length) 
+			this._send(patches);
+	}
+
+	/**
+	 * Record the given patch, where patches produced outside of `render()`
+	 * are sent once the current updates have been applied.
+	 *
+	 * @private
+	 * @param {object} patch The patch to record.
+	 */
+	_record(patch) {
+		if (!this._patches.length) 
+			Promise.resolve().then(() => this._flush());
+		this._patches.push(patch);
+	}
+
+	/**
+	 * Create a node of the shadow tree.
+	 *
+	 * @private
+	 * @param {string} type The type of the node.
+	 * @return {object} The node.
+	 */
+	_node(type) {
+		const node = { id: this._ids++, type, props: {}, children: [], parent: null };
+		this._nodes.set(node.id, node);
+		return node;
+	}
+
+	/**
+	 * Forget the given node of the shadow tree and its descendants.
+	 *
+	 * @private
+	 * @param {object} node The node to forget.
+	 */
+	_forget(node) {
+		this._nodes.delete(node.id);
+		node.children.forEach(child => this._forget(child));
+	}
+
+	/**
+	 * Create the host configuration that records the changes to the shadow 
+	 * tree as patches.
+	 *
+	 * @private
+	 * @return {object} The host configuration.
+	 */
+	_host() {
+		const record = patch => this._record(patch);
+
+		return Object.assign({}, objectHost, {
+			createElement: (type, props, parent) => {
+				const node = this._node(type);
+				record({ op: 'create', id: node.id, type, parent: parent ? parent.id : null });
+				return node;
+			},
+			createText: text => {
+				const node = this._node(TEXT);
+				node.text = text;
+				record({ op: 'create', id: node.id, text });
+				return node;
+			},
+			setText(node, text) {
+				node.text = text;
+				record({ op: 'setText', id: node.id, text });
+			},
+			setProps(node, props = {}, prev = {}) {
+				node.props = props;
+
+				for (let name of new Set(Object.keys(prev).concat(Object.keys(props)))) {
+					const value = props[name];
+
+					if (value === prev[name] || IGNORED_PROPS.includes(name)) {
+						continue;
+					} else if (typeof value === 'function' || typeof prev[name] === 'function') {
+						// Event handlers are proxied to the patcher
+						if (typeof value !== typeof prev[name]) 
+							record({ op: 'listen', id: node.id, name, listening: typeof value === 'function' });
+					} else {
+						record({ op: 'setProp', id: node.id, name, value, prev: prev[name] });
+					}
+				}
+			},
+			insertBefore(parent, child, before) {
+				const op = child.parent ? 'move' : 'insert';
+				objectHost.insertBefore(parent, child, before);
+				record({ op, id: child.id, parent: parent.id, before: before ? before.id : null });
+			},
+			removeChild: (parent, child) => {
+				objectHost.removeChild(parent, child);
+				this._forget(child);
+				record({ op: 'remove', id: child.id });
+			}
+		});
+	}
+}
+
+/**
+ * The type of text nodes in the shadow tree.
+ */
+const TEXT = '#text';
+
+/**
+ * The props that are not sent, as they only exist in the shadow tree.
+ */
+const IGNORED_PROPS = ['key', 'ref', 'children'];
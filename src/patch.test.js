@@ -0,0 +1,93 @@
+/*
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2017 Fabian Mastenbroek
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ */
+
+
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { JSDOM } from 'jsdom';
+import { h, Component } from './vdom';
+import { createPatcher } from './patch';
+import { applyPatches } from './dom';
+
+/*
+ * Checks for the serializable patches produced by a patcher, which are 
+ * replayed on the DOM of jsdom.
+ */
+
+global.document = new JSDOM('<!DOCTYPE html><body></body>').window.document;
+
+/**
+ * Pass the given value through JSON, like a message to or from a worker.
+ *
+ * @param value The value to pass.
+ * @return The copy of the value.
+ */
+function message(value) {
+	return JSON.parse(JSON.stringify(value));
+}
+
+describe('patcher', () => {
+	class Counter extends Component {
+		render(props, { count = 0 }) {
+			return h('div', { className: 'counter' }, 
+				h('button', { onClick: () => this.setState({ count: count + 1 }) }, '+'),
+				h('span', {}, String(count))
+			);
+		}
+	}
+
+	it('replays the patches on the DOM', () => {
+		const root = document.createElement('main');
+		const patcher = createPatcher();
+
+		applyPatches(root, message(patcher.render(h(Counter))));
+
+		assert.strictEqual(root.innerHTML, 
+			'<div class="counter"><button>+</button><span>0</span></div>');
+	});
+
+	it('proxies events to the patcher and replays its updates', () => {
+		const root = document.createElement('main');
+		const patcher = createPatcher(patches => applyPatches(root, message(patches), dispatch));
+		const dispatch = event => patcher.dispatch(message(event));
+
+		applyPatches(root, message(patcher.render(h(Counter))), dispatch);
+		root.querySelector('button').click();
+		root.querySelector('button').click();
+
+		assert.strictEqual(root.querySelector('span').textContent, '2');
+	});
+
+	it('moves keyed nodes instead of recreating them', () => {
+		const root = document.createElement('main');
+		const patcher = createPatcher();
+		const list = keys => h('ul', {}, keys.map(key => h('li', { key }, key)));
+
+		applyPatches(root, message(patcher.render(list(['a', 'b', 'c']))));
+		const [a, b, c] = root.querySelectorAll('li');
+
+		applyPatches(root, message(patcher.render(list(['c', 'a', 'b']))));
+
+		assert.deepStrictEqual(Array.from(root.querySelectorAll('li')), [c, a, b]);
+	});
+
+	it('removes the nodes when unmounted', () => {
+		const root = document.createElement('main');
+		const patcher = createPatcher();
+
+		applyPatches(root, message(patcher.render(h(Counter))));
+		applyPatches(root, message(patcher.unmount()));
+
+		assert.strictEqual(root.innerHTML, '');
+	});
+});
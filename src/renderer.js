@@ -0,0 +1,506 @@
+/*
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2017 Fabian Mastenbroek
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ */
+
+import { resolveWith, reconcile, current, unmountComponents, commit, releaseRefs,
+	applyRef, isPrimitive, isFragment, different } from './vdom';
+
+/*
+ * A reconciler that applies resolved virtual dom trees to a tree of host 
+ * nodes, such as the DOM. The operations on the host nodes are supplied by a
+ * host configuration, so the same component model can drive other targets.
+ */
+
+/**
+ * Create a renderer that applies virtual dom trees to the host nodes of the 
+ * given host configuration. The host configuration supplies the following 
+ * operations:
+ *
+ * - `createElement(type, props, parent)` creates an element node, where 
+ *   `parent` is the host node the element will be part of.
+ * - `createText(text)` creates a text node.
+ * - `setText(node, text)` changes the text of a text node.
+ * - `setProps(node, props, prev)` applies the differences between the 
+ *   previous and the new props to an element node.
+ * - `insertBefore(parent, child, before)` inserts or moves a node before 
+ *   the given sibling, or at the end if the sibling is <code>null</code>.
+ * - `removeChild(parent, child)` removes a node from its parent.
+ * - `parentNode(node)`, `firstChild(node)` and `nextSibling(node)` navigate
+ *   the host tree.
+ * - `finalizeProps(node, props, created)` is optional and invoked after the
+ *   children of an element node have been created or updated.
+ * - `detach(node)` is optional and invoked for removed nodes.
+ *
+ * @param {object} host The host configuration.
+ * @return {object} The renderer.
+ */
+export function createRenderer(host) {
+	/**
+	 * The resolved trees that have been rendered into each container.
+	 */
+	const roots = new WeakMap();
+
+	/**
+	 * The host nodes that are leaving, which stay in place until their
+	 * components are done leaving.
+	 */
+	const leaving = new WeakSet();
+
+	/**
+	 * Render a vnode (JSX) into the given container.
+	 *
+	 * @param {object} node The virtual dom node to render.
+	 * @param {object} [container] The host node to render into.
+	 * @return {object} The first host node that has been rendered.
+	 */
+	function render(node = '', container) {
+		const root = resolve(node);
+		const created = create(root, container);
+
+		if (container) {
+			created.forEach(child => host.insertBefore(container, child, null));
+			attach(container, root);
+		}
+		return root._base;
+	}
+
+	/**
+	 * Render a vnode (JSX) into the given container, updating the tree that
+	 * was rendered into the container before instead of adding a tree.
+	 *
+	 * @param {object} node The virtual dom node to render.
+	 * @param {object} container The host node to render into.
+	 * @return {object} The first host node that has been rendered.
+	 */
+	function update(node = '', container) {
+		const trees = roots.get(container) || [];
+		const prev = trees.length ? current(trees[trees.length - 1]) : {};
+		const root = resolve(node, prev);
+
+		diff(nodes(prev)[0], container, root, prev);
+		roots.set(container, trees.slice(0, -1).concat(root));
+		return root._base;
+	}
+
+	/**
+	 * Unmount the trees that have been rendered into the given container. 
+	 * The components in the trees are unmounted, after which their host 
+	 * nodes are removed.
+	 *
+	 * @param {object} container The host node the trees were rendered into.
+	 * @return {bool} <code>true</code> if a tree was unmounted, 
+	 * <code>false</code> otherwise.
+	 */
+	function unmount(container) {
+		const trees = container && roots.get(container);
+
+		if (!trees) {
+			return false;
+		}
+
+		for (let root of trees) {
+			root = current(root);
+			unmountComponents(root);
+			diff(null, container, null, root);
+		}
+
+		roots.delete(container);
+		return true;
+	}
+
+	/**
+	 * Remember that the given resolved tree has been rendered into the given
+	 * container, so it can be unmounted.
+	 *
+	 * @param {object} container The host node the tree is rendered into.
+	 * @param {object} root The resolved tree.
+	 */
+	function attach(container, root) {
+		roots.set(container, (roots.get(container) || []).concat(root));
+	}
+
+	/**
+	 * Resolve the given virtual dom tree for this renderer, so components 
+	 * that re-render by themselves apply their output to the host nodes.
+	 *
+	 * @param {object} node The virtual dom node to resolve.
+	 * @param {object} [prev] The previous virtual node tree.
+	 * @return {object} The resolved virtual dom tree.
+	 */
+	function resolve(node, prev) {
+		return resolveWith(patch, node, prev);
+	}
+
+	/**
+	 * Apply the output of a component that re-rendered by itself to the 
+	 * host nodes of its previous output.
+	 *
+	 * @param {object} node The new output of the component.
+	 * @param {object} prev The previous output of the component.
+	 */
+	function patch(node, prev) {
+		const base = nodes(prev)[0];
+		diff(base, base && host.parentNode(base), node, prev);
+	}
+
+	/**
+	 * Apply differences in a resolved vnode (and its children) to a host node.
+	 * 
+	 * @param {object} [dom=null] A host node to mutate into the shape of the 
+	 * `vnode`.
+	 * @param {object} parent The parent host node.
+	 * @param {object} node The vnode representing the desired structure.
+	 * @param {object} prev The vnode representing the previous structure.
+	 * @return {object} The created or mutated host node. 
+	 */
+	function diff(dom = null, parent, node, prev = {}) {
+		if (!node) {
+			// If there is no new vnode, delete the corresponding host nodes.
+			releaseRefs(prev);
+			removeNodes(prev && prev._base ? nodes(prev) : [dom]);
+			return null;
+		} else if (node === prev && dom) {
+			// The components of the vnode bailed out of rendering, so their 
+			// host nodes are still up to date
+			return node._base;
+		} else if (!prev || !dom || different(node, prev)) {
+			// If there is no previous vnode or host node, or the previous and 
+			// the new vnodes are of different type, create new host nodes and 
+			// let them take the place of the old host nodes.
+			releaseRefs(prev);
+			const target = dom && host.parentNode(dom) || parent;
+			const created = create(node, target);
+
+			if (dom && host.parentNode(dom)) {
+				created.forEach(child => host.insertBefore(target, child, dom));
+				removeNodes(prev && prev._base ? nodes(prev) : [dom]);
+			} else if (parent) {
+				created.forEach(child => host.insertBefore(parent, child, null));
+			}
+			return node._base;
+		}
+
+		// Remember the host node of this vnode, so the node can be found 
+		// again after it has been moved
+		node._base = dom;
+
+		// If the virtual dom node is a primitive node, just change the text
+		// of the host node
+		if (isPrimitive(node)) {
+			if (String(node) !== String(prev)) 
+				host.setText(dom, String(node));
+			commit(node);
+			return dom;
+		} else if (isFragment(node)) {
+			// The children of a fragment are part of the parent host node, 
+			// starting at the first host node of the fragment
+			diffChildren(host.parentNode(dom), node.children, prev.children, dom);
+			node._base = nodes(node)[0];
+			commit(node);
+			return node._base;
+		}
+
+		// Diff the props of the virtual dom node
+		host.setProps(dom, node.props, prev.props);
+
+		// Diff the children of the virtual dom node
+		diffChildren(dom, node.children, prev.children, host.firstChild(dom));
+
+		if (host.finalizeProps) 
+			host.finalizeProps(dom, node.props, false);
+
+		// Point the ref at the host node, if the ref changed
+		const ref = node.props && node.props.ref;
+		const prevRef = prev.props && prev.props.ref;
+
+		if (ref !== prevRef) {
+			applyRef(prevRef, null);
+			applyRef(ref, dom);
+		}
+
+		// Components that render into an existing host node are mounted as 
+		// well
+		commit(node);
+		return dom;
+	}
+
+	/**
+	 * Apply differences in the children of a vnode to the children of a 
+	 * host node, starting at the given host node.
+	 *
+	 * @param {object} parent The host node containing the children.
+	 * @param {array} children The vnodes representing the desired children.
+	 * @param {array} prevChildren The vnodes representing the previous 
+	 * children.
+	 * @param {object} cursor The host node at which the children start.
+	 * @return {object} The host node following the last child.
+	 */
+	function diffChildren(parent, children = [], prevChildren = [], cursor = null) {
+		// Match the children of the vnodes by key
+		const { matched, removed } = reconcile(children, prevChildren);
+
+		// The previous children that have no counterpart or are replaced by a
+		// vnode of a different type
+		const obsolete = removed.concat(matched.filter((prev, i) => 
+			prev && different(children[i], prev)));
+		const elements = [].concat(...obsolete
+			.filter(prev => !prev._leaving)
+			.map(nodes));
+
+		// Remove the host nodes of these children, without losing our 
+		// position
+		while (cursor && elements.includes(cursor)) {
+			cursor = host.nextSibling(cursor);
+		}
+		obsolete.filter(prev => !prev._leaving).forEach(releaseRefs);
+		removeNodes(elements);
+
+		// The children that want to leave first stay in place
+		obsolete.filter(prev => prev._leaving).forEach(leave);
+
+		// Diff the children of the vnodes and move the host nodes into the 
+		// position of their vnode
+		children.forEach((child, i) => {
+			const prev = obsolete.includes(matched[i]) ? null : matched[i];
+
+			if (prev && prev !== child && isFragment(child)) {
+				// The children of a fragment are diffed in place
+				cursor = diffChildren(parent, child.children, prev.children, cursor);
+				child._base = nodes(child)[0];
+				commit(child);
+				return;
+			}
+
+			if (prev) {
+				diff(prev._base, null, child, prev);
+			} else {
+				create(child, parent);
+			}
+
+			for (let element of nodes(child)) {
+				cursor = skipLeaving(cursor);
+
+				if (element === cursor) {
+					cursor = host.nextSibling(cursor);
+				} else {
+					host.insertBefore(parent, element, cursor);
+				}
+			}
+
+			// Children that are added to an existing tree enter
+			if (!prev) 
+				enter(child);
+		});
+
+		return cursor;
+	}
+
+	/**
+	 * Skip the leaving host nodes, starting at the given host node.
+	 *
+	 * @param {object} cursor The host node to start at.
+	 * @return {object} The first host node that is not leaving.
+	 */
+	function skipLeaving(cursor) {
+		while (cursor && leaving.has(cursor)) {
+			cursor = host.nextSibling(cursor);
+		}
+		return cursor;
+	}
+
+	/**
+	 * Inform the components of the given resolved vnode, which has been 
+	 * added to an existing tree, that it enters via 
+	 * `componentWillEnter(done)`, after which `componentDidEnter()` is 
+	 * invoked once the component calls `done`.
+	 *
+	 * @param {object} node The resolved vnode that enters.
+	 */
+	function enter(node) {
+		for (let component of node._components || []) {
+			if (typeof component.componentWillEnter === 'function') {
+				component.componentWillEnter(once(() => {
+					if (!component._unmounted && component.componentDidEnter)
+						component.componentDidEnter();
+				}));
+			}
+		}
+	}
+
+	/**
+	 * Let the components of the given resolved vnode, which has been removed
+	 * from the tree, leave via `componentWillLeave(done)`. The host nodes of
+	 * the vnode stay in place until all components called `done`, after
+	 * which the components are unmounted and the host nodes are removed.
+	 *
+	 * @param {object} node The resolved vnode that leaves.
+	 */
+	function leave(node) {
+		const elements = nodes(node);
+		const components = node._components.filter(component => 
+			typeof component.componentWillLeave === 'function');
+		let pending = components.length;
+
+		elements.forEach(element => leaving.add(element));
+
+		const done = () => {
+			if (--pending) 
+				return;
+
+			unmountComponents(node);
+			releaseRefs(node);
+			removeNodes(elements);
+			elements.forEach(element => leaving.delete(element));
+		};
+
+		components.forEach(component => component.componentWillLeave(once(done)));
+	}
+
+	/**
+	 * Create the host nodes of the given resolved vnode, which still need to
+	 * be inserted into their parent.
+	 *
+	 * @param {object} node The resolved vnode to create the host nodes of.
+	 * @param {object} [parent] The host node the nodes will be part of.
+	 * @return {array} The created host nodes.
+	 */
+	function create(node, parent) {
+		if (isPrimitive(node) || !(node && node.type)) {
+			// If the vnode is primitive, create a text node containing the value
+			const text = host.createText(String(node));
+
+			// Set the base of the vnode
+			if (node && typeof node === 'object') {
+				node._base = text;
+				commit(node);
+			}
+			return [text];
+		}
+
+		if (isFragment(node)) {
+			// A fragment consists of the host nodes of its children
+			const created = [].concat(...node.children
+				.map(child => create(child, parent)));
+
+			node._base = created[0];
+			commit(node);
+			return created;
+		}
+
+		// Create a new element with the given type
+		const element = host.createElement(String(node.type), node.props, parent);
+
+		// Set the base of the vnode
+		node._base = element;
+
+		// Apply the props to the element
+		host.setProps(element, node.props, {});
+
+		// Create the host nodes of the children and append them to this 
+		// element
+		for (let child of node.children) {
+			create(child, element).forEach(created => 
+				host.insertBefore(element, created, null));
+		}
+
+		if (host.finalizeProps) 
+			host.finalizeProps(element, node.props, true);
+
+		// Point the ref of the vnode at the element
+		applyRef(node.props && node.props.ref, element);
+
+		commit(node);
+		return [element];
+	}
+
+	/**
+	 * Remove the given host nodes from their parents and inform the host 
+	 * that they are removed.
+	 *
+	 * @param {array} elements The host nodes to remove.
+	 */
+	function removeNodes(elements) {
+		for (let element of elements) {
+			const parent = element && host.parentNode(element);
+
+			if (parent) 
+				host.removeChild(parent, element);
+			if (element && host.detach) 
+				host.detach(element);
+		}
+	}
+
+	return { render, update, unmount, attach, resolve, diff, create };
+}
+
+/**
+ * The operations of a host configuration that navigate and change a host 
+ * tree of plain objects, whose nodes have a `parent` and an array of 
+ * `children`. Renderers into such trees only supply the operations that 
+ * create and update their nodes.
+ */
+export const objectHost = {
+	insertBefore(parent, child, before) {
+		if (child.parent) {
+			objectHost.removeChild(child.parent, child);
+		}
+
+		const index = before ? parent.children.indexOf(before) : -1;
+		parent.children.splice(index < 0 ? parent.children.length : index, 0, child);
+		child.parent = parent;
+	},
+	removeChild(parent, child) {
+		parent.children.splice(parent.children.indexOf(child), 1);
+		child.parent = null;
+	},
+	parentNode(node) {
+		return node.parent;
+	},
+	firstChild(node) {
+		return node.children[0] || null;
+	},
+	nextSibling(node) {
+		const siblings = node.parent ? node.parent.children : [];
+		return siblings[siblings.indexOf(node) + 1] || null;
+	}
+};
+
+/**
+ * Wrap the given function, so it is only invoked the first time the wrapper
+ * is invoked.
+ *
+ * @param {function} fn The function to wrap.
+ * @return {function} The wrapper.
+ */
+function once(fn) {
+	let invoked = false;
+	return (...args) => {
+		if (!invoked) {
+			invoked = true;
+			fn(...args);
+		}
+	};
+}
+
+/**
+ * Determine the host nodes that belong to the given resolved vnode. A 
+ * fragment consists of the host nodes of its children.
+ *
+ * @param {object} node The resolved vnode.
+ * @return {array} The host nodes of the vnode.
+ */
+export function nodes(node) {
+	if (isFragment(node)) {
+		return [].concat(...node.children.map(nodes));
+	}
+	return node && node._base ? [node._base] : [];
+}
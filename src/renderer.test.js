@@ -0,0 +1,95 @@
+/*
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2017 Fabian Mastenbroek
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ */
+
+
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { h, Component, flushSync } from './vdom';
+import { createRenderer, objectHost } from './renderer';
+
+/*
+ * Checks for the custom renderer API.
+ */
+
+describe('custom renderer', () => {
+	let ops, label;
+
+	const host = Object.assign({}, objectHost, {
+		createElement(type, props) {
+			ops.push(`create ${type}`);
+			return { type, props, children: [], parent: null };
+		},
+		createText(text) {
+			ops.push(`text ${text}`);
+			return { text, children: [], parent: null };
+		},
+		setText(node, text) {
+			ops.push(`set ${node.text} -> ${text}`);
+			node.text = text;
+		},
+		setProps(node, props) {
+			node.props = props;
+		}
+	});
+	const renderer = createRenderer(host);
+
+	class Label extends Component {
+		constructor(props, context) {
+			super(props, context);
+			label = this;
+			this.state = { text: props.text };
+		}
+
+		render(props, { text }) {
+			return h('label', { id: 'l' }, text);
+		}
+	}
+
+	const serialize = node => node.type ? 
+		`<${node.type}>${node.children.map(serialize).join('')}</${node.type}>` : node.text;
+
+	it('applies trees to the host nodes', () => {
+		ops = [];
+		const screen = { children: [], parent: null };
+		renderer.render(h('panel', {}, h(Label, { text: 'a' }), 'b'), screen);
+
+		assert.strictEqual(screen.children.map(serialize).join(''), 
+			'<panel><label>a</label>b</panel>');
+		assert.deepStrictEqual(screen.children[0].children[0].props, { id: 'l' });
+		assert.deepStrictEqual(ops.sort(), 
+			['create label', 'create panel', 'text a', 'text b']);
+	});
+
+	it('applies updates through the host', () => {
+		ops = [];
+		const screen = { children: [], parent: null };
+		renderer.render(h('panel', {}, h(Label, { text: 'a' })), screen);
+		ops = [];
+
+		flushSync(() => label.setState({ text: 'c' }));
+
+		assert.deepStrictEqual(ops, ['set a -> c']);
+		assert.strictEqual(screen.children.map(serialize).join(''), 
+			'<panel><label>c</label></panel>');
+	});
+
+	it('unmounts the trees in the container', () => {
+		ops = [];
+		const screen = { children: [], parent: null };
+		renderer.render(h('panel', {}, h(Label, { text: 'a' })), screen);
+
+		assert.strictEqual(renderer.unmount(screen), true);
+		assert.deepStrictEqual(screen.children, []);
+		assert.strictEqual(renderer.unmount(screen), false);
+	});
+});
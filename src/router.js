@@ -0,0 +1,454 @@
+/*
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2017 Fabian Mastenbroek
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ */
+
+import { h, Component, shallowEqual } from './vdom';
+
+/*
+ * A router for vdom.js applications, which renders the routes matching the
+ * location of a history. Histories are backed by the History API, the hash
+ * of the URL or, for server-side rendering and tests, by memory.
+ */
+
+/**
+ * Create a history backed by the History API of the browser.
+ *
+ * @return {object} The history.
+ */
+export function createBrowserHistory() {
+	const read = () => parsePath(window.location.pathname +
+		window.location.search + window.location.hash);
+
+	return createHistory({
+		read,
+		createHref: path => path,
+		push: path => window.history.pushState(null, '', path),
+		replace: path => window.history.replaceState(null, '', path),
+		go: n => window.history.go(n),
+		listen: notify => {
+			window.addEventListener('popstate', notify);
+			return () => window.removeEventListener('popstate', notify);
+		}
+	});
+}
+
+/**
+ * Create a history backed by the hash of the URL, such as `#/users/1`.
+ *
+ * @return {object} The history.
+ */
+export function createHashHistory() {
+	const read = () => parsePath(window.location.hash.slice(1) || '/');
+
+	return createHistory({
+		read,
+		createHref: path => '#' + path,
+		push: path => window.location.hash = path,
+		replace: path => window.location.replace('#' + path),
+		go: n => window.history.go(n),
+		listen: notify => {
+			window.addEventListener('hashchange', notify);
+			return () => window.removeEventListener('hashchange', notify);
+		}
+	});
+}
+
+/**
+ * Create a history that is kept in memory, starting at the given URL. This
+ * history is used for server-side rendering, where the URL is the URL of the
+ * request, and for tests.
+ *
+ * @param {string} [url='/'] The URL to start at.
+ * @return {object} The history.
+ */
+export function createMemoryHistory(url = '/') {
+	const entries = [url];
+	let index = 0;
+
+	return createHistory({
+		read: () => parsePath(entries[index]),
+		createHref: path => path,
+		push: path => {
+			entries.splice(index + 1, entries.length, path);
+			index = entries.length - 1;
+		},
+		replace: path => entries[index] = path,
+		go: n => index = Math.min(Math.max(index + n, 0), entries.length - 1)
+	});
+}
+
+/**
+ * Create a history with the given backend. The history has a `location`,
+ * navigates via `push(path)`, `replace(path)`, `go(n)`, `back()` and
+ * `forward()`, and informs the listeners registered via `listen(listener)`
+ * when the location changes.
+ *
+ * @param {object} backend The backend of the history.
+ * @return {object} The history.
+ */
+function createHistory(backend) {
+	let listeners = [];
+	let unlisten = null;
+
+	// The listeners are informed whenever the location of the backend 
+	// differs from the current location, so navigation that is also reported
+	// by the backend itself (e.g. via `hashchange`) informs them only once
+	const notify = () => {
+		const location = backend.read();
+		if (createPath(location) === createPath(history.location))
+			return;
+
+		history.location = location;
+		listeners.forEach(listener => listener(location));
+	};
+
+	const navigate = change => path => {
+		change(path);
+		notify();
+	};
+
+	const history = {
+		location: backend.read(),
+		createHref: backend.createHref,
+		push: navigate(backend.push),
+		replace: navigate(backend.replace),
+		go: n => {
+			backend.go(n);
+			notify();
+		},
+		back: () => history.go(-1),
+		forward: () => history.go(1),
+		listen(listener) {
+			if (!listeners.length && backend.listen)
+				unlisten = backend.listen(notify);
+			listeners = listeners.concat(listener);
+
+			return () => {
+				listeners = listeners.filter(l => l !== listener);
+				if (!listeners.length && unlisten)
+					unlisten();
+			};
+		}
+	};
+	return history;
+}
+
+/**
+ * Split the given path into its path name, query string and hash.
+ *
+ * @param {string} path The path to split.
+ * @return {object} The location described by the path.
+ */
+function parsePath(path = '/') {
+	const [, pathname = '/', search = '', hash = ''] =
+		/^([^?#]*)(\?[^#]*)?(#.*)?$/.exec(path) || [];
+	return { pathname: pathname || '/', search, hash };
+}
+
+/**
+ * Join the parts of the given location into a path.
+ *
+ * @param {object} location The location to join.
+ * @return {string} The path of the location.
+ */
+function createPath(location) {
+	return location.pathname + location.search + location.hash;
+}
+
+/**
+ * Match the given path name against the given path pattern, where `:name`
+ * matches a segment that is passed as parameter, `:name?` an optional
+ * segment and `*` the remainder of the path. Unless `exact` is set, the
+ * pattern also matches the paths below it.
+ *
+ * @param {string} pathname The path name to match.
+ * @param {object} options The `path` pattern and the `exact` flag.
+ * @return {object} The match, consisting of the matched `path` pattern, the
+ * matched `url`, the `params` and whether the match `isExact`, or
+ * <code>null</code> if the path does not match.
+ */
+export function matchPath(pathname, { path = '/', exact = false } = {}) {
+	const names = [];
+	const source = path.replace(/\/$/, '')
+		.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+		.replace(/\/:(\w+)(\?)?/g, (_, name, optional) => {
+			names.push(name);
+			return optional ? '(?:/([^/]+))?' : '/([^/]+)';
+		})
+		.replace(/\*/g, () => {
+			names.push('*');
+			return '(.*)';
+		});
+
+	const match = new RegExp(`^${source}${exact ? '/?$' : '(?=/|$)'}`, 'i')
+		.exec(pathname);
+
+	if (!match) {
+		return null;
+	}
+
+	const params = {};
+	names.forEach((name, i) => {
+		if (match[i + 1] !== undefined)
+			params[name] = decodeURIComponent(match[i + 1]);
+	});
+
+	const url = match[0] || '/';
+	return { path, url, params, isExact: url.replace(/\/$/, '') === pathname.replace(/\/$/, '') };
+}
+
+/**
+ * This component provides the location of a history to the routes below it
+ * and re-renders them when the location changes. The history is passed as
+ * `history` prop, or created in memory from the `url` prop (for server-side
+ * rendering), or backed by the History API by default.
+ *
+ * @author Fabian Mastenbroek
+ */
+export class Router extends Component {
+	/**
+	 * Construct a {@link Router} object.
+	 *
+	 * @param props The properties received from parent element/component.
+	 * @param context The component's context.
+	 */
+	constructor(props, context) {
+		super(props, context);
+
+		/** @private */
+		this._history = props.history || (props.url != null || typeof window === 'undefined' ?
+			createMemoryHistory(props.url) : createBrowserHistory());
+		this.state = { location: this._history.location };
+	}
+
+	/**
+	 * Listen to the changes of the location once the router is mounted.
+	 */
+	componentDidMount() {
+		this._unlisten = this._history.listen(location => this.setState({ location }));
+
+		// The location might have changed before the router was mounted
+		if (this._history.location !== this.state.location)
+			this.setState({ location: this._history.location });
+	}
+
+	/**
+	 * Stop listening to the changes of the location.
+	 */
+	componentWillUnmount() {
+		if (this._unlisten)
+			this._unlisten();
+	}
+
+	/**
+	 * Provide the history and the location to the routes below the router.
+	 * The context is only rebuilt when the location changes, so pure 
+	 * components below the router do not re-render otherwise.
+	 *
+	 * @return {object} The context of the routes.
+	 */
+	getChildContext() {
+		const history = this._history;
+		const location = this.state.location;
+
+		if (!this._context || this._context.router.location !== location) {
+			/** @private */
+			this._context = { router: {
+				history,
+				location,
+				match: { path: '/', url: '/', params: {}, isExact: location.pathname === '/' }
+			} };
+		}
+		return this._context;
+	}
+
+	/**
+	 * Render the child of the router.
+	 *
+	 * @param {object} props The properties passed to this component.
+	 */
+	render(props) {
+		return props.children[0];
+	}
+}
+
+/**
+ * This component renders its `component`, `render` function or children if
+ * its `path` matches the location of the router. Paths that do not start with
+ * a slash are relative to the enclosing route. The rendered component
+ * receives the `match`, `location` and `history` as props.
+ *
+ * @author Fabian Mastenbroek
+ */
+export class Route extends Component {
+	/**
+	 * Match the route against the location and provide the match to the
+	 * routes nested below it. The match and the context are only rebuilt when
+	 * they change, so pure components below the route do not re-render 
+	 * otherwise.
+	 *
+	 * @return {object} The context of the nested routes.
+	 */
+	getChildContext() {
+		const router = routerOf(this.context, 'Route');
+		const match = matchRoute(this.props, router);
+
+		if (!this._context || router !== this._router || !sameMatch(match, this._match)) {
+			/** @private */
+			this._router = router;
+			/** @private */
+			this._match = match;
+			/** @private */
+			this._context = { router: Object.assign({}, router, { match: match || router.match }) };
+		}
+		return this._context;
+	}
+
+	/**
+	 * Render the route if it matches the location.
+	 *
+	 * @param {object} props The properties passed to this component.
+	 * @param {object} state The component's state.
+	 * @param {object} context The context.
+	 */
+	render(props, state, context) {
+		const router = context.router;
+		const match = this._match;
+
+		if (!match) {
+			return null;
+		}
+
+		const routeProps = { match, location: router.location, history: router.history };
+
+		if (props.component) {
+			return h(props.component, routeProps);
+		} else if (props.render) {
+			return props.render(routeProps);
+		}
+		return props.children;
+	}
+}
+
+/**
+ * This component only renders the first of its child routes that matches
+ * the location of the router.
+ *
+ * @author Fabian Mastenbroek
+ */
+export class Switch extends Component {
+	/**
+	 * Render the first child route that matches the location.
+	 *
+	 * @param {object} props The properties passed to this component.
+	 * @param {object} state The component's state.
+	 * @param {object} context The context.
+	 */
+	render(props, state, context) {
+		const router = routerOf(context, 'Switch');
+		return props.children.find(child => child && child.props
+			&& matchRoute(child.props, router)) || null;
+	}
+}
+
+/**
+ * This component renders a link to the path passed as `to` prop, which
+ * navigates via the history of the router instead of loading the page.
+ *
+ * @author Fabian Mastenbroek
+ */
+export class Link extends Component {
+	/**
+	 * Render the link.
+	 *
+	 * @param {object} props The properties passed to this component.
+	 * @param {object} state The component's state.
+	 * @param {object} context The context.
+	 */
+	render(props, state, context) {
+		const { history } = routerOf(context, 'Link');
+		const { to, replace, onClick } = props;
+		const rest = Object.assign({}, props);
+		['to', 'replace', 'children'].forEach(name => delete rest[name]);
+
+		return h('a', Object.assign(rest, {
+			href: history.createHref(to),
+			onClick: event => {
+				if (onClick)
+					onClick(event);
+
+				// Let the browser handle modified clicks, such as opening the
+				// link in a new tab
+				if (event.defaultPrevented || event.button || props.target
+						|| event.metaKey || event.altKey || event.ctrlKey || event.shiftKey)
+					return;
+
+				event.preventDefault();
+				if (replace) {
+					history.replace(to);
+				} else {
+					history.push(to);
+				}
+			}
+		}), props.children);
+	}
+}
+
+/**
+ * Obtain the router from the given context.
+ *
+ * @param {object} context The context of a component.
+ * @param {string} name The name of the component, for the error message.
+ * @return {object} The router.
+ */
+function routerOf(context, name) {
+	if (!context.router) {
+		throw new Error(`A <${name}> can only be used below a <Router>`);
+	}
+	return context.router;
+}
+
+/**
+ * Determine whether the given matches of a route are equal.
+ *
+ * @param {object} a The first match.
+ * @param {object} b The second match.
+ * @return {bool} <code>true</code> if the matches are equal, 
+ * <code>false</code> otherwise.
+ */
+function sameMatch(a, b) {
+	if (!a || !b) {
+		return a === b;
+	}
+	return a.url === b.url && a.path === b.path && a.isExact === b.isExact 
+		&& shallowEqual(a.params, b.params);
+}
+
+/**
+ * Match the given props of a route against the location of the given
+ * router, where relative paths are resolved against the enclosing route.
+ *
+ * @param {object} props The props of the route.
+ * @param {object} router The router.
+ * @return {object} The match, or <code>null</code> if the route does not
+ * match.
+ */
+function matchRoute(props, router) {
+	if (props.path == null) {
+		// Routes without a path always match
+		return router.match;
+	}
+
+	const path = props.path[0] === '/' ? props.path :
+		router.match.url.replace(/\/$/, '') + '/' + props.path;
+	return matchPath(router.location.pathname, { path, exact: props.exact });
+}
@@ -0,0 +1,126 @@
+/*
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2017 Fabian Mastenbroek
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ */
+
+
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { h, Component, memo, flushSync } from './vdom';
+import { Router, Route, Switch, Link, createMemoryHistory, matchPath } from './router';
+import { render } from './string';
+import { create, fire } from './test';
+
+/*
+ * Checks for the router components.
+ */
+
+describe('matchPath', () => {
+	it('matches paths with parameters', () => {
+		assert.deepStrictEqual(matchPath('/users/42/posts', { path: '/users/:id' }), 
+			{ path: '/users/:id', url: '/users/42', params: { id: '42' }, isExact: false });
+	});
+
+	it('matches exact paths only if requested', () => {
+		assert.strictEqual(matchPath('/users/42', { path: '/users', exact: true }), null);
+		assert.strictEqual(matchPath('/users/', { path: '/users', exact: true }).isExact, true);
+	});
+
+	it('matches optional parameters and wildcards', () => {
+		assert.deepStrictEqual(matchPath('/files', { path: '/files/:name?' }).params, {});
+		assert.deepStrictEqual(matchPath('/files/a%20b/c', { path: '/files/*' }).params, 
+			{ '*': 'a b/c' });
+	});
+});
+
+describe('router', () => {
+	const User = ({ match }) => h('h1', {}, `user ${match.params.id}`);
+	const app = history => h(Router, { history }, h('div', {},
+		h('nav', {}, h(Link, { to: '/users/1' }, 'one'), h(Link, { to: '/about' }, 'about')),
+		h(Switch, {}, 
+			h(Route, { path: '/users/:id', component: User }),
+			h(Route, { path: '/about', render: () => h('h1', {}, 'about') }),
+			h(Route, {}, h('h1', {}, 'home'))
+		)
+	));
+
+	it('renders the first matching route', () => {
+		const tree = create(app(createMemoryHistory('/users/7')));
+
+		assert.strictEqual(tree.findByType('h1').textContent, 'user 7');
+	});
+
+	it('navigates when a link is clicked', () => {
+		const history = createMemoryHistory('/');
+		const tree = create(app(history));
+
+		assert.strictEqual(tree.findByType('h1').textContent, 'home');
+
+		fire(tree.findByText('one'), 'click');
+
+		assert.strictEqual(history.location.pathname, '/users/1');
+		assert.strictEqual(tree.findByType('h1').textContent, 'user 1');
+
+		flushSync(() => history.push('/about'));
+		assert.strictEqual(tree.findByType('h1').textContent, 'about');
+
+		flushSync(() => history.back());
+		assert.strictEqual(tree.findByType('h1').textContent, 'user 1');
+	});
+
+	it('lets the browser handle modified clicks', () => {
+		const history = createMemoryHistory('/');
+		const tree = create(app(history));
+
+		fire(tree.findByText('about'), 'click', { button: 0, ctrlKey: true });
+
+		assert.strictEqual(history.location.pathname, '/');
+	});
+
+	it('matches nested routes relative to their parent', () => {
+		const tree = create(h(Router, { url: '/users/3/posts' }, 
+			h(Route, { path: '/users/:id' }, 
+				h(Route, { path: 'posts', render: ({ match }) => h('p', {}, match.url) })
+			)
+		));
+
+		assert.strictEqual(tree.findByType('p').textContent, '/users/3/posts');
+	});
+
+	it('renders the given url on the server', () => {
+		assert.strictEqual(render(h(Router, { url: '/users/5?tab=a' }, 
+			h(Route, { path: '/users/:id', component: User }))), '<h1>user 5</h1>');
+	});
+
+	it('does not render memoized components again for unrelated updates', () => {
+		let renders = 0, app;
+		const Page = memo(() => h('p', {}, String(++renders)));
+
+		class App extends Component {
+			constructor(props, context) {
+				super(props, context);
+				app = this;
+			}
+
+			render() {
+				return h(Route, { path: '/page' }, h(Page));
+			}
+		}
+
+		const tree = create(h(Router, { url: '/page' }, h(App)));
+
+		flushSync(() => app.setState({ n: 1 }));
+		flushSync(() => app.setState({ n: 2 }));
+
+		assert.strictEqual(renders, 1);
+		assert.strictEqual(tree.findByType('p').textContent, '1');
+	});
+});
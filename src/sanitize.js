@@ -0,0 +1,183 @@
+/*
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2017 Fabian Mastenbroek
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ */
+
+import { warn } from './vdom';
+
+/*
+ * Sanitization of the markup produced by the vdom.js renderers. The URL 
+ * policy is shared by the DOM and string renderers and is disabled until it
+ * is set via `setUrlPolicy()`.
+ */
+
+/**
+ * The `dangerouslySetInnerHTML` values created by {@link trustHTML}.
+ */
+const trusted = new WeakSet();
+
+/**
+ * The policy that sanitizes the URLs in attributes, if enabled.
+ */
+let policy = null;
+
+/**
+ * Mark the given html as trusted, to be passed to `dangerouslySetInnerHTML`
+ * without development warnings.
+ *
+ * @param {string} html The trusted html.
+ * @return {object} The value to pass to `dangerouslySetInnerHTML`.
+ */
+export function trustHTML(html) {
+	const value = { __html: html };
+	trusted.add(value);
+	return value;
+}
+
+/**
+ * Set the policy that sanitizes URL-bearing attributes, such as `href`, 
+ * `src`, `action`, `data`, `poster` and `srcset`, in both renderers. For
+ * attributes containing a list of URLs, such as `srcset` and `ping`, the 
+ * attribute is dropped if the policy rejects any of them, and otherwise
+ * kept as is. The policy is a function that 
+ * receives the URL, the name of the attribute and the type of the element 
+ * and returns the URL to use or <code>null</code> to drop the attribute. 
+ * Pass <code>true</code> to use {@link sanitizeUrl} or <code>null</code> to 
+ * disable sanitization.
+ *
+ * @param {function|bool} next The policy to use.
+ */
+export function setUrlPolicy(next) {
+	policy = next === true ? sanitizeUrl : next || null;
+}
+
+/**
+ * Sanitize the given URL, allowing relative URLs and URLs with a safe 
+ * scheme, such as `https:` and `mailto:`, but not `javascript:` or `data:` 
+ * URLs.
+ *
+ * @param {string} url The URL to sanitize.
+ * @return {string} The URL or <code>null</code> if it is not safe.
+ */
+export function sanitizeUrl(url) {
+	// Browsers ignore whitespace and control characters in the scheme
+	const scheme = /^([^:/?#]*):/.exec(String(url).replace(/[\u0000- \u007f]/g, ''));
+
+	if (scheme && SAFE_SCHEMES.indexOf(scheme[1].toLowerCase()) < 0) {
+		return null;
+	}
+	return url;
+}
+
+/**
+ * Sanitize the value of the given attribute according to the URL policy.
+ *
+ * @param {string} type The type of the element.
+ * @param {string} name The name of the attribute.
+ * @param {any} value The value of the attribute.
+ * @return {any} The sanitized value, which is <code>null</code> if the 
+ * attribute should be dropped.
+ */
+export function sanitizeAttribute(type, name, value) {
+	if (!policy || (typeof value !== 'string' && typeof value !== 'number')
+			|| URL_ATTRIBUTES.indexOf(name.toLowerCase()) < 0) {
+		return value;
+	}
+
+	const attribute = name.toLowerCase();
+	let result;
+
+	if (attribute === 'srcset' || attribute === 'ping') {
+		// The URLs of `srcset` are followed by an optional descriptor
+		const urls = attribute === 'srcset' ? 
+			String(value).split(',').map(candidate => candidate.trim().split(/\s+/)[0]) :
+			String(value).trim().split(/\s+/);
+		result = urls.every(url => !url || policy(url, name, type) != null) ? value : null;
+	} else {
+		result = policy(String(value), name, type);
+	}
+
+	if (result == null) {
+		warn(`Dropped the unsafe URL "${value}" in the ${name} attribute of <${type}>`);
+	}
+	return result;
+}
+
+/**
+ * Warn about the given value of `dangerouslySetInnerHTML`, unless it was 
+ * marked as trusted by {@link trustHTML}.
+ *
+ * @param {string} type The type of the element.
+ * @param {object} value The value of `dangerouslySetInnerHTML`.
+ */
+export function checkInnerHTML(type, value) {
+	if (value && value.__html && !trusted.has(value)) {
+		warn(`<${type}> uses dangerouslySetInnerHTML with html that is not marked as trusted via trustHTML(), which may allow cross-site scripting`);
+	}
+}
+
+/**
+ * Determine whether the given tag name is valid.
+ *
+ * @param {string} type The tag name to test.
+ * @return {bool} <code>true</code> if the tag name is valid, 
+ * <code>false</code> otherwise.
+ */
+export function isValidTag(type) {
+	return /^[a-zA-Z][a-zA-Z0-9:._-]*$/.test(type);
+}
+
+/**
+ * Determine whether the given attribute name is valid.
+ *
+ * @param {string} name The attribute name to test.
+ * @return {bool} <code>true</code> if the attribute name is valid,
+ * <code>false</code> otherwise.
+ */
+export function isValidAttribute(name) {
+	return /^[^\s"'<>/=\u0000-\u001f\u007f]+$/.test(name);
+}
+
+/**
+ * Attributes that contain a URL.
+ */
+const URL_ATTRIBUTES = [
+	'action',
+	'archive',
+	'background',
+	'cite',
+	'classid',
+	'codebase',
+	'data',
+	'formaction',
+	'href',
+	'icon',
+	'longdesc',
+	'manifest',
+	'ping',
+	'poster',
+	'profile',
+	'src',
+	'srcset',
+	'usemap',
+	'xlink:href'
+];
+
+/**
+ * Schemes that are allowed by {@link sanitizeUrl}.
+ */
+const SAFE_SCHEMES = [
+	'http',
+	'https',
+	'mailto',
+	'tel',
+	'ftp'
+];
@@ -0,0 +1,95 @@
+/*
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2017 Fabian Mastenbroek
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ */
+
+
+import assert from 'assert';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import { h } from './vdom';
+import { setUrlPolicy, sanitizeUrl, sanitizeAttribute, trustHTML } from './sanitize';
+import { render } from './string';
+
+/*
+ * Checks for the sanitization of the rendered markup.
+ */
+
+describe('sanitizeUrl', () => {
+	it('allows relative urls and safe schemes', () => {
+		for (let url of ['/a', 'b?c:d', '#x', 'https://x.org', 'mailto:a@x.org', 'HTTP://x']) {
+			assert.strictEqual(sanitizeUrl(url), url);
+		}
+	});
+
+	it('rejects other schemes, even when obfuscated', () => {
+		for (let url of ['javascript:alert(1)', ' JavaScript:x', 'java\tscript:x', 
+			'java\u0000script:x', 'data:text/html,x', 'vbscript:x']) {
+			assert.strictEqual(sanitizeUrl(url), null);
+		}
+	});
+});
+
+describe('url policy', () => {
+	let warnings;
+
+	beforeEach(() => {
+		warnings = mock.method(console, 'warn', () => {}).mock;
+		setUrlPolicy(true);
+	});
+
+	afterEach(() => {
+		setUrlPolicy(null);
+		mock.restoreAll();
+	});
+
+	it('drops unsafe urls from url attributes only', () => {
+		assert.strictEqual(sanitizeAttribute('a', 'href', 'javascript:x'), null);
+		assert.strictEqual(sanitizeAttribute('a', 'title', 'javascript:x'), 'javascript:x');
+		assert.strictEqual(sanitizeAttribute('a', 'href', '/ok'), '/ok');
+		assert.strictEqual(warnings.callCount(), 1);
+	});
+
+	it('checks every url of srcset and ping', () => {
+		assert.strictEqual(sanitizeAttribute('img', 'srcset', 'a.png 1x, b.png 2x'), 
+			'a.png 1x, b.png 2x');
+		assert.strictEqual(sanitizeAttribute('img', 'srcset', 'a.png 1x, javascript:x 2x'), null);
+		assert.strictEqual(sanitizeAttribute('a', 'ping', '/a javascript:x'), null);
+	});
+
+	it('drops unsafe urls in the string renderer', () => {
+		assert.strictEqual(render(h('a', { href: 'javascript:alert(1)', title: 'x' }, 'go')), 
+			'<a title="x">go</a>');
+	});
+
+	it('accepts a custom policy', () => {
+		setUrlPolicy(url => url.startsWith('/') ? url : null);
+
+		assert.strictEqual(sanitizeAttribute('img', 'src', 'https://x.org/a.png'), null);
+		assert.strictEqual(sanitizeAttribute('img', 'src', '/a.png'), '/a.png');
+	});
+});
+
+describe('inner html', () => {
+	afterEach(() => {
+		mock.restoreAll();
+	});
+
+	it('warns about html that is not trusted', () => {
+		const warnings = mock.method(console, 'warn', () => {}).mock;
+
+		assert.strictEqual(render(h('p', { dangerouslySetInnerHTML: { __html: '<b>x</b>' } })),
+			'<p><b>x</b></p>');
+		assert.strictEqual(warnings.callCount(), 1);
+
+		render(h('p', { dangerouslySetInnerHTML: trustHTML('<b>x</b>') }));
+		assert.strictEqual(warnings.callCount(), 1);
+	});
+});
@@ -0,0 +1,146 @@
+/*
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2017 Fabian Mastenbroek
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ */
+
+/*
+ * A render scheduler that batches the updates of dirty components.
+ */
+
+/**
+ * The components that are waiting to be re-rendered.
+ */
+const queue = [];
+
+/**
+ * The effects that are waiting to be run after rendering.
+ */
+const effects = [];
+
+/**
+ * A flag to indicate whether a flush of the queue has been scheduled.
+ */
+let scheduled = false;
+
+/**
+ * Enqueue the given dirty component for re-rendering. Multiple calls for the
+ * same component before the queue is flushed result in a single render.
+ *
+ * @param {Component} component The component to re-render.
+ * @param {function} [callback] A function to invoke after the component has
+ * been re-rendered.
+ */
+export function enqueueRender(component, callback) {
+	if (callback) {
+		component._callbacks = component._callbacks || [];
+		component._callbacks.push(callback);
+	}
+
+	if (!component._queued) {
+		component._queued = true;
+		queue.push(component);
+	}
+
+	schedule();
+}
+
+/**
+ * Enqueue the given effect to run after the pending renders have been 
+ * flushed.
+ *
+ * @param {function} effect The effect to run.
+ */
+export function enqueueEffect(effect) {
+	effects.push(effect);
+	schedule();
+}
+
+/**
+ * Synchronously re-render all components that are waiting to be re-rendered.
+ * Parents are rendered before their children, so a child that is re-rendered 
+ * by its parent is not rendered again. Afterwards, the pending effects are 
+ * run, which might cause components to be re-rendered again.
+ */
+export function flush() {
+	scheduled = false;
+
+	do {
+		render();
+
+		// Run the effects in the order they were enqueued
+		for (let effect of effects.splice(0)) {
+			effect();
+		}
+	} while (queue.length || effects.length);
+}
+
+/**
+ * Synchronously re-render the components that are waiting to be re-rendered.
+ */
+function render() {
+	const rendered = [];
+
+	while (queue.length) {
+		// Render the component closest to the root first
+		queue.sort((a, b) => a._depth - b._depth);
+
+		const component = queue.shift();
+		component._queued = false;
+		rendered.push(component);
+
+		// The component might already have been rendered by its parent or
+		// have been unmounted
+		if (component._dirty && component._node && !component._unmounted) {
+			component._update();
+		}
+	}
+
+	// Inform the callers of `setState()` that their state has been applied
+	for (let component of rendered) {
+		const callbacks = component._callbacks || [];
+		component._callbacks = null;
+		callbacks.forEach(callback => callback.call(component));
+	}
+}
+
+/**
+ * Synchronously flush all pending updates, optionally after invoking the 
+ * given function. This is useful in tests, where the result of a state
+ * change should be observable immediately.
+ *
+ * @param {function} [fn] A function to invoke before flushing, for example
+ * to trigger a state change.
+ * @return The value returned by the given function.
+ */
+export function flushSync(fn) {
+	const result = fn ? fn() : undefined;
+	flush();
+	return result;
+}
+
+/**
+ * Schedule a flush of the queue, if it has not been scheduled yet.
+ */
+function schedule() {
+	if (!scheduled) {
+		scheduled = true;
+		defer(flush);
+	}
+}
+
+/**
+ * Invoke the given function asynchronously, as soon as possible.
+ *
+ * @param {function} fn The function to invoke.
+ */
+function defer(fn) {
+	Promise.resolve().then(fn);
+}
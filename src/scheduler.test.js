@@ -0,0 +1,106 @@
+/*
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2017 Fabian Mastenbroek
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ */
+
+
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { h, Component, flushSync } from './vdom';
+import { create } from './test';
+
+/*
+ * Checks for the render scheduler.
+ */
+
+describe('scheduler', () => {
+	const tick = () => new Promise(resolve => setTimeout(resolve));
+	let renders, parent, child;
+
+	class Child extends Component {
+		constructor(props, context) {
+			super(props, context);
+			child = this;
+		}
+
+		render({ value }, { count = 0 }) {
+			renders.push(`child ${value} ${count}`);
+			return h('span', {}, `${value} ${count}`);
+		}
+	}
+
+	class Parent extends Component {
+		constructor(props, context) {
+			super(props, context);
+			parent = this;
+			this.state = { value: 0 };
+		}
+
+		render(props, { value }) {
+			renders.push(`parent ${value}`);
+			return h('div', {}, h(Child, { value }));
+		}
+	}
+
+	it('batches state changes into a single asynchronous render', async () => {
+		renders = [];
+		const tree = create(h(Parent));
+		renders = [];
+
+		parent.setState({ value: 1 });
+		parent.setState(state => ({ value: state.value + 1 }));
+
+		assert.deepStrictEqual(renders, []);
+		assert.strictEqual(tree.findByType('span').textContent, '0 0');
+
+		await tick();
+
+		assert.deepStrictEqual(renders, ['parent 2', 'child 2 0']);
+		assert.strictEqual(tree.findByType('span').textContent, '2 0');
+	});
+
+	it('renders parents before their children', async () => {
+		renders = [];
+		const tree = create(h(Parent));
+		renders = [];
+
+		child.setState({ count: 1 });
+		parent.setState({ value: 1 });
+
+		await tick();
+
+		assert.deepStrictEqual(renders, ['parent 1', 'child 1 1']);
+		assert.strictEqual(tree.findByType('span').textContent, '1 1');
+	});
+
+	it('invokes the callbacks after the state has been applied', async () => {
+		renders = [];
+		const tree = create(h(Parent));
+		const values = [];
+
+		parent.setState({ value: 1 }, function () {
+			values.push(this.state.value, tree.findByType('span').textContent);
+		});
+
+		await tick();
+
+		assert.deepStrictEqual(values, [1, '1 0']);
+	});
+
+	it('flushes pending renders synchronously with flushSync', () => {
+		renders = [];
+		const tree = create(h(Parent));
+
+		flushSync(() => parent.setState({ value: 3 }));
+
+		assert.strictEqual(tree.findByType('span').textContent, '3 0');
+	});
+});
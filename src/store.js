@@ -0,0 +1,248 @@
+/*
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2017 Fabian Mastenbroek
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ */
+
+import { h, Component, PureComponent, shallowEqual } from './vdom';
+
+/*
+ * A small store for the shared state of vdom.js applications, which is 
+ * changed by dispatching actions to a reducer, and the `connect()` 
+ * higher-order component that passes the state to components.
+ */
+
+/**
+ * Create a store holding the state produced by the given reducer.
+ *
+ * @param {function} reducer The function computing the next state from the
+ * current state and an action.
+ * @param [initialState] The initial state, for example to seed the store 
+ * for server-side rendering.
+ * @param {function} [enhancer] A function enhancing the store, such as
+ * {@link applyMiddleware}.
+ * @return {object} The store, with `getState()`, `dispatch(action)` and 
+ * `subscribe(listener)` methods.
+ */
+export function createStore(reducer, initialState, enhancer) {
+	if (enhancer) {
+		return enhancer(createStore)(reducer, initialState);
+	}
+
+	let state = initialState;
+	let listeners = [];
+	let dispatching = false;
+
+	const store = {
+		getState() {
+			return state;
+		},
+		dispatch(action) {
+			if (dispatching) {
+				throw new Error('Reducers may not dispatch actions');
+			}
+
+			try {
+				dispatching = true;
+				state = reducer(state, action);
+			} finally {
+				dispatching = false;
+			}
+
+			listeners.forEach(listener => listener());
+			return action;
+		},
+		subscribe(listener) {
+			listeners = listeners.concat(listener);
+			return () => {
+				listeners = listeners.filter(l => l !== listener);
+			};
+		}
+	};
+
+	// Let the reducer produce its initial state
+	store.dispatch({ type: INIT });
+	return store;
+}
+
+/**
+ * Create an enhancer for {@link createStore} that passes the dispatched 
+ * actions through the given middleware, where each middleware has the form 
+ * `store => next => action => result`.
+ *
+ * @param {array} middlewares The middleware to apply, from outer to inner.
+ * @return {function} The enhancer.
+ */
+export function applyMiddleware(...middlewares) {
+	return createStore => (reducer, initialState) => {
+		const store = createStore(reducer, initialState);
+		let dispatch = () => {
+			throw new Error('Actions may not be dispatched while constructing the middleware');
+		};
+
+		const api = {
+			getState: store.getState,
+			dispatch: action => dispatch(action)
+		};
+
+		dispatch = middlewares
+			.map(middleware => middleware(api))
+			.reduceRight((next, middleware) => middleware(next), store.dispatch);
+		return Object.assign({}, store, { dispatch });
+	};
+}
+
+/**
+ * This component provides the store passed as `store` prop to the 
+ * components connected by {@link connect} below it.
+ *
+ * @author Fabian Mastenbroek
+ */
+export class Provider extends Component {
+	/**
+	 * Provide the store to the descendants of this component.
+	 *
+	 * @return {object} The context containing the store.
+	 */
+	getChildContext() {
+		return { store: this.props.store };
+	}
+
+	/**
+	 * Render the child of this component.
+	 *
+	 * @param {object} props The properties passed to this component.
+	 */
+	render(props) {
+		return props.children[0];
+	}
+}
+
+/**
+ * Create a higher-order component that passes the state of the store and
+ * functions dispatching actions to the wrapped component as props. The 
+ * connected component subscribes to the store once it is mounted and only 
+ * re-renders when its own props or the props mapped from the state change.
+ *
+ * @param {function} [mapStateToProps] The function computing the props from
+ * the state of the store and the own props of the component. If omitted or
+ * <code>null</code>, no props are computed from the state.
+ * @param {function|object} [mapDispatchToProps] The function computing the 
+ * props from the `dispatch` function and the own props, or an object of 
+ * action creators that are bound to `dispatch`. If omitted or 
+ * <code>null</code>, `dispatch` is passed as prop.
+ * @return {function} The function wrapping a component.
+ */
+export function connect(mapStateToProps, mapDispatchToProps) {
+	mapStateToProps = mapStateToProps || (() => ({}));
+	mapDispatchToProps = mapDispatchToProps || (dispatch => ({ dispatch }));
+
+	return Wrapped => {
+		class Connect extends PureComponent {
+			constructor(props, context) {
+				super(props, context);
+				this.state = { stateProps: this._mapState(props) };
+
+				// Functions that do not depend on the own props are bound
+				// once, so the wrapped component receives the same functions
+				if (!(typeof mapDispatchToProps === 'function' && mapDispatchToProps.length > 1)) 
+					this._dispatchProps = this._mapDispatch(props);
+			}
+
+			componentDidMount() {
+				this._unsubscribe = this._store().subscribe(() => this._changed());
+
+				// The state might have changed before the component was mounted
+				this._changed();
+			}
+
+			componentWillUnmount() {
+				if (this._unsubscribe) 
+					this._unsubscribe();
+			}
+
+			render(props) {
+				const stateProps = this._mapState(props);
+				const dispatchProps = this._dispatchProps || this._mapDispatch(props);
+				return h(Wrapped, Object.assign({}, props, stateProps, dispatchProps), 
+					props.children);
+			}
+
+			/**
+			 * Find the store passed as prop or provided by a {@link Provider}.
+			 *
+			 * @private
+			 * @return {object} The store.
+			 */
+			_store() {
+				const store = this.props.store || this.context.store;
+
+				if (!store) {
+					throw new Error(`Could not find the store for ${Connect.displayName}, wrap the tree in a <Provider store={ store }> or pass it as prop`);
+				}
+				return store;
+			}
+
+			/**
+			 * Compute the props of the wrapped component from the state.
+			 *
+			 * @private
+			 * @param {object} props The own props of the component.
+			 * @return {object} The props mapped from the state.
+			 */
+			_mapState(props) {
+				return mapStateToProps(this._store().getState(), props);
+			}
+
+			/**
+			 * Compute the props of the wrapped component that dispatch 
+			 * actions.
+			 *
+			 * @private
+			 * @param {object} props The own props of the component.
+			 * @return {object} The props dispatching actions.
+			 */
+			_mapDispatch(props) {
+				const dispatch = this._store().dispatch;
+
+				if (typeof mapDispatchToProps === 'function') {
+					return mapDispatchToProps(dispatch, props);
+				}
+
+				const bound = {};
+				for (let [name, creator] of Object.entries(mapDispatchToProps)) {
+					bound[name] = (...args) => dispatch(creator(...args));
+				}
+				return bound;
+			}
+
+			/**
+			 * Re-render the component if the props mapped from the state of
+			 * the store changed.
+			 *
+			 * @private
+			 */
+			_changed() {
+				const stateProps = this._mapState(this.props);
+
+				if (!this._unmounted && !shallowEqual(stateProps, this.state.stateProps)) 
+					this.setState({ stateProps });
+			}
+		}
+
+		Connect.displayName = `Connect(${Wrapped.displayName || Wrapped.name || 'Component'})`;
+		return Connect;
+	};
+}
+
+/**
+ * The type of the action that initializes the state of a store.
+ */
+const INIT = '@@vdom.js/INIT';
@@ -0,0 +1,98 @@
+/*
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2017 Fabian Mastenbroek
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ */
+
+
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { h, flushSync } from './vdom';
+import { createStore, applyMiddleware, Provider, connect } from './store';
+import { create, fire } from './test';
+
+/*
+ * Checks for the store and the connect() function.
+ */
+
+describe('store', () => {
+	const counter = (state = 0, action) => action.type === 'add' ? state + action.n : state;
+	const add = n => ({ type: 'add', n });
+
+	it('reduces the dispatched actions and notifies the listeners', () => {
+		const store = createStore(counter);
+		const seen = [];
+		const unsubscribe = store.subscribe(() => seen.push(store.getState()));
+
+		store.dispatch(add(2));
+		unsubscribe();
+		store.dispatch(add(3));
+
+		assert.deepStrictEqual(seen, [2]);
+		assert.strictEqual(store.getState(), 5);
+	});
+
+	it('passes the actions through the middleware', () => {
+		const log = [];
+		const logger = ({ getState }) => next => action => {
+			log.push(`${action.type} ${getState()}`);
+			return next(action);
+		};
+		const store = createStore(counter, 1, applyMiddleware(logger));
+
+		store.dispatch(add(2));
+
+		assert.deepStrictEqual(log, ['add 1']);
+		assert.strictEqual(store.getState(), 3);
+	});
+});
+
+describe('connect', () => {
+	const counter = (state = 0, action) => action.type === 'add' ? state + 1 : state;
+	const Button = ({ count = '-', onAdd, dispatch }) => 
+		h('button', { onClick: () => onAdd ? onAdd() : dispatch({ type: 'add' }) }, String(count));
+
+	it('maps the state and the dispatch function to props', () => {
+		const store = createStore(counter);
+		const Counter = connect(
+			state => ({ count: state }), 
+			{ onAdd: () => ({ type: 'add' }) }
+		)(Button);
+		const tree = create(h(Provider, { store }, h(Counter)));
+
+		fire(tree.findByType('button'), 'click');
+		flushSync(() => store.dispatch({ type: 'add' }));
+
+		assert.strictEqual(tree.findByType('button').textContent, '2');
+	});
+
+	it('passes dispatch when the props are not mapped', () => {
+		const store = createStore(counter);
+		const Counter = connect(null, null)(Button);
+		const tree = create(h(Provider, { store }, h(Counter)));
+
+		fire(tree.findByType('button'), 'click');
+
+		assert.strictEqual(store.getState(), 1);
+		assert.strictEqual(tree.findByType('button').textContent, '-');
+	});
+
+	it('unsubscribes from the store when unmounted', () => {
+		const store = createStore(counter);
+		let renders = 0;
+		const Counter = connect(state => ({ count: state }))(() => h('span', {}, String(++renders)));
+		const tree = create(h(Counter, { store }));
+
+		tree.unmount();
+		flushSync(() => store.dispatch({ type: 'add' }));
+
+		assert.strictEqual(renders, 1);
+	});
+});
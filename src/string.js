@@ -11,7 +11,10 @@
  * furnished to do so, subject to the following conditions:
  */
 
-import { resolve, isPrimitive } from './vdom';
+import { Readable } from 'stream';
+import { resolve, resolveAsync, isPrimitive, isFragment, warn } from './vdom';
+import { serializeStyle, rulesOf } from './css';
+import { sanitizeAttribute, checkInnerHTML, isValidTag, isValidAttribute } from './sanitize';
 
  /*
   * A string renderer for the vdom.js library.
@@ -19,13 +22,106 @@ import { resolve, isPrimitive } from './vdom';
 
 /**
  * Render the given vnode (and its children) into a string containing the
- * html.
+ * html. By default, the children of an element are separated by newlines, 
+ * which can be changed with the following options:
+ *
+ * - `format`: `'compact'` to emit no whitespace between children, or 
+ *   `'pretty'` to put block content on indented lines.
+ * - `indent`: the indentation of pretty-printed output, as string or number
+ *   of spaces (two spaces by default).
+ * - `mode`: `'html'` (default), `'xhtml'` to close void elements and give 
+ *   every attribute a value, or `'xml'` to also close empty elements 
+ *   regardless of their name.
+ * - `doctype`: `true` to start with `<!DOCTYPE html>` (or the XML declaration
+ *   in XML mode), or the string to put in the `<!DOCTYPE>` declaration.
+ * - `styles`: an array that receives the CSS rules of the classes generated
+ *   by `css()` that are used by the page, for inlining into its head.
  *
  * @param {object} node The vnode to render into a string.
+ * @param {object} [options] The options of the output.
  * @return {string} The string containing the rendered html.
  */
-export function render(node) {
-	return irender(resolve(node));
+export function render(node, options) {
+	return irender(resolve(node), options);
+}
+
+/**
+ * Render the given vnode (and its children) into a string containing the
+ * html, once the lazy components and the data in the tree have loaded. The
+ * fallbacks of `Suspense` boundaries are never rendered.
+ *
+ * @param {object} node The vnode to render into a string.
+ * @param {object} [options] The options of the output, see {@link render}.
+ * @return {Promise} A promise resolving to the string containing the 
+ * rendered html.
+ */
+export async function renderToStringAsync(node, options) {
+	return irender(await resolveAsync(node), options);
+}
+
+/**
+ * Render the given vnode (and its children) into a readable stream that emits
+ * the html in chunks. The stream respects backpressure, as the html is only 
+ * produced when the consumer is ready to receive it. The output is identical
+ * to the output of {@link render}.
+ *
+ * @param {object} node The vnode to render into a stream.
+ * @param {object} [options] The options of the output, see {@link render}.
+ * @return {Readable} The stream emitting the rendered html.
+ */
+export function renderToStream(node, options) {
+	let chunks;
+
+	return new Readable({
+		read(size) {
+			try {
+				// Resolve the tree once the first chunk is requested, so
+				// errors are emitted by the stream
+				chunks = chunks || batch(serializeDocument(resolve(node), options), size);
+
+				let next;
+				while (!(next = chunks.next()).done) {
+					if (!this.push(next.value)) 
+						return;
+				}
+				this.push(null);
+			} catch (error) {
+				this.destroy(error);
+			}
+		}
+	});
+}
+
+/**
+ * Render the given vnode (and its children) into an asynchronous iterator 
+ * that produces the html in chunks, for use with `for await`. The output is 
+ * identical to the output of {@link render}. Besides the options of the 
+ * output, the `size` option sets the preferred size of the chunks (16384 
+ * characters by default).
+ *
+ * @param {object} node The vnode to render.
+ * @param {object} [options={}] The options of the output, see {@link render}.
+ * @return {object} The asynchronous iterator producing the rendered html.
+ */
+export function renderToIterator(node, options = {}) {
+	const size = options.size || 16384;
+	let chunks;
+
+	return {
+		next() {
+			return Promise.resolve().then(() => {
+				chunks = chunks || batch(serializeDocument(resolve(node), options), size);
+				return chunks.next();
+			});
+		},
+		return(value) {
+			chunks = chunks || batch([], size);
+			return Promise.resolve(chunks.return(value));
+		},
+		[Symbol.asyncIterator]() {
+			return this;
+		}
+	};
 }
 	
 /**
@@ -33,14 +129,91 @@ export function render(node) {
  * html, without resolving components in the tree.
  *
  * @param {object} node The vnode to render into a string.
+ * @param {object} [options] The options of the output, see {@link render}.
  * @return {string} The string containing the rendered html.
  */
- export function irender(node) {
+export function irender(node, options) {
+	return [...serializeDocument(node, options)].join('');
+}
+
+/**
+ * Complete the given options of the output with their defaults.
+ *
+ * @param {object} [options={}] The options of the output.
+ * @return {object} The completed options.
+ */
+function configure(options = {}) {
+	const indent = typeof options.indent === 'number' ? 
+		' '.repeat(options.indent) : options.indent;
+
+	return {
+		format: options.format || null,
+		indent: indent == null ? '  ' : indent,
+		mode: options.mode || 'html',
+		doctype: options.doctype || false,
+		styles: options.styles || null
+	};
+}
+
+/**
+ * Serialize the given vnode (and its children) into chunks of html, preceded
+ * by the declarations requested in the options.
+ *
+ * @param {object} node The vnode to serialize.
+ * @param {object} [options] The options of the output.
+ * @return {Iterator} An iterator producing the chunks of html.
+ */
+function* serializeDocument(node, options) {
+	options = configure(options);
+	const { doctype, mode } = options;
+
+	if (doctype === true && mode === 'xml') {
+		yield '<?xml version="1.0" encoding="UTF-8"?>\n';
+	} else if (doctype) {
+		yield `<!DOCTYPE ${doctype === true ? 'html' : doctype}>\n`;
+	}
+
+	yield* serialize(node, options);
+}
+
+/**
+ * Serialize the given vnode (and its children) into chunks of html, without 
+ * resolving components in the tree.
+ *
+ * @param {object} node The vnode to serialize.
+ * @param {object} options The completed options of the output.
+ * @param {bool} [foreign=false] A flag to indicate whether the vnode is part 
+ * of SVG or MathML content.
+ * @param {int} [depth=0] The nesting depth of the vnode, for indentation.
+ * @return {Iterator} An iterator producing the chunks of html.
+ */
+function* serialize(node, options, foreign = false, depth = 0) {
 	if (isPrimitive(node)) {
-		// If the node is primitive, return the primitive value.
-		return node.valueOf();
+		// If the node is primitive, produce the encoded primitive value.
+		yield encode(node.valueOf());
+		return;
+	} else if (isFragment(node)) {
+		// If the node is a fragment, only render its children
+		yield* serializeChildren(node.children, options, foreign, depth);
+		return;
+	}
+
+	if (!isValidTag(node.type)) {
+		throw new Error(`Invalid tag name <${node.type}>`);
 	}
 
+	// SVG and MathML content starts at its root element and ends inside
+	// a `<foreignObject>` element
+	foreign = foreign || node.type === 'svg' || node.type === 'math';
+
+	// The state of form elements is serialized as attributes and content
+	if (!foreign) 
+		node = serializeForm(node);
+
+	// XHTML and XML require every attribute to have a value
+	const { mode, format, indent } = options;
+	const strict = mode !== 'html';
+
 	// Render the vdom tree otherwise
 	let res = '', html;
 
@@ -48,8 +221,11 @@ export function render(node) {
 		for (let [key, value] of Object.entries(node.props || {})) {
 			if (key === 'children') {
 				continue;
-			} else if (key === 'key' || key === 'ref') {
-				// Ignore internal attributes
+			} else if (key === 'key' || key === 'ref' || /^on/.test(key)) {
+				// Ignore internal attributes and event handlers
+				continue;
+			} else if (!isValidAttribute(key)) {
+				warn(`Dropped the invalid attribute name "${key}" on <${node.type}>`);
 				continue;
 			}
 
@@ -64,21 +240,31 @@ export function render(node) {
 					.map(([key, value]) => value ? key : "")
 					.join(" ");
 			} else if (key === 'style' && value && typeof value ==='object') {
-				value = Object.entries(value)
-					.map(([key, value]) => key + ':' + value)
-					.join(';');
-				
+				value = serializeStyle(value);
+			}
+
+			if (key === 'class' && value && options.styles) {
+				collect(String(value), options.styles);
 			}
 
 			if (key === 'dangerouslySetInnerHTML') {
+				checkInnerHTML(node.type, value);
 				html = value && value.__html;
-			} else if ((value || value === 0 || value === '') 
+				continue;
+			}
+
+			// Drop URLs that are rejected by the URL policy
+			value = sanitizeAttribute(node.type, key, value);
+
+			if ((value || value === 0 || value === '') 
 					&& typeof value !== 'function') {
 
-				if (value === true || value === '') {
+				if ((value === true || value === '') && !strict) {
 					// Allow boolean attributes
 					res += ' ' + key;
 					continue;
+				} else if (value === true) {
+					value = key;
 				}
 
 				// Encode the attribute
@@ -87,32 +273,207 @@ export function render(node) {
 		}
 	}
 
-	// Account for multiline attribute
-	let sub = res.replace(/^\n\s*/, ' ');
-	if (sub !== res && !res.indexOf('\n')) { 
-		res = sub;
-	} else if (~res.indexOf('\n')) { 
-		res += '\n';
+	const children = node.children || [];
+	const empty = !html && !children.length;
+
+	if (empty && (mode === 'xml' || foreign)) {
+		// Elements without content are self-closing in XML, SVG and MathML 
+		yield `<${node.type}${res}/>`;
+		return;
+	} else if (mode !== 'xml' && VOID_ELEMENTS.includes(node.type) && !foreign) {
+		// Void elements have no closing tag
+		yield strict ? `<${node.type}${res} />` : `<${node.type}${res}>`;
+		return;
 	}
 
-	res = `<${node.type}${res}>`;
+	yield `<${node.type}${res}>`;
 
 	if (html) {
-		res += html;
-	} else if (node.children) {
-		res += node.children
-			.map(irender)
-			.join("\n");
+		yield String(html);
+	} else if (mode === 'html' && RAW_TEXT.includes(node.type) && !foreign) {
+		// The content of raw text elements is not decoded by the browser
+		yield serializeRawText(node.type, children);
+	} else if (format === 'pretty' && isBlock(node)) {
+		// Put the children on their own, indented lines
+		yield '\n' + indent.repeat(depth + 1);
+		yield* serializeChildren(children, options, 
+			foreign && node.type !== 'foreignObject', depth + 1);
+		yield '\n' + indent.repeat(depth);
+	} else {
+		// Whitespace would change inline and preformatted content, so it is
+		// not inserted in pretty-printed output
+		const inline = format === 'pretty' ? 
+			Object.assign({}, options, { format: 'compact' }) : options;
+		yield* serializeChildren(children, inline, 
+			foreign && node.type !== 'foreignObject', depth);
 	}
 
-	if (!VOID_ELEMENTS.includes(node.type)) {
-		// Write closing tag
-		res += `</${node.type}>`;
+	// Write closing tag
+	yield `</${node.type}>`;
+}
+
+/**
+ * Serialize the text content of a raw text element, which the browser does 
+ * not decode. Sequences that would end the element early are escaped with a 
+ * backslash instead.
+ *
+ * @param {string} type The type of the raw text element.
+ * @param {array} children The children of the element.
+ * @return {string} The content of the element.
+ */
+function serializeRawText(type, children) {
+	const texts = children.filter(child => isPrimitive(child));
+
+	if (texts.length < children.length) 
+		warn(`Dropped the non-text children of <${type}>`);
+
+	return texts.join('').replace(/<(\/(?:script|style)|!--)/gi, '<\\$1');
+}
+
+/**
+ * Serialize the given children into chunks of html, separated by the 
+ * whitespace the format of the output requires.
+ *
+ * @param {array} children The vnodes to serialize.
+ * @param {object} options The completed options of the output.
+ * @param {bool} [foreign=false] A flag to indicate whether the vnodes are 
+ * part of SVG or MathML content.
+ * @param {int} [depth=0] The nesting depth of the vnodes, for indentation.
+ * @return {Iterator} An iterator producing the chunks of html.
+ */
+function* serializeChildren(children, options, foreign = false, depth = 0) {
+	const { format, indent } = options;
+	let separator = '\n';
+
+	if (format === 'compact') {
+		separator = '';
+	} else if (format === 'pretty') {
+		// Empty text would result in empty lines
+		separator += indent.repeat(depth);
+		children = children.filter(child => !isPrimitive(child) || String(child));
 	}
 
-	return res;
- }
+	for (let i = 0; i < children.length; i++) {
+		if (i) 
+			yield separator;
+		yield* serialize(children[i], options, foreign, depth);
+	}
+}
 
+/**
+ * Collect the CSS rules of the classes generated by `css()` in the given 
+ * class attribute, each rule only once.
+ *
+ * @param {string} classes The value of the class attribute.
+ * @param {Array} styles The array receiving the CSS rules.
+ */
+function collect(classes, styles) {
+	classes.split(/\s+/)
+		.map(rulesOf)
+		.filter(rules => rules && styles.indexOf(rules) < 0)
+		.forEach(rules => styles.push(rules));
+}
+
+/**
+ * Convert the form props of the given element into the attributes and 
+ * content that represent its state in html: the value of a `<textarea>` 
+ * becomes its content, the value of a `<select>` selects its options, and the
+ * default state of uncontrolled elements is used if no state is given.
+ *
+ * @param {object} node The element to convert.
+ * @return {object} The converted element.
+ */
+function serializeForm(node) {
+	if (!FORM_ELEMENTS.includes(node.type)) {
+		return node;
+	}
+
+	const props = Object.assign({}, node.props);
+	let children = node.children;
+
+	const value = props.value != null ? props.value : props.defaultValue;
+	const checked = props.checked != null ? props.checked : props.defaultChecked;
+	delete props.defaultValue;
+	delete props.defaultChecked;
+
+	if (node.type === 'input') {
+		props.value = value;
+		props.checked = checked;
+	} else if (node.type === 'textarea') {
+		delete props.value;
+		children = value != null ? [String(value)] : children;
+	} else {
+		delete props.value;
+		children = value != null ? selectOptions(children, [].concat(value).map(String)) : children;
+	}
+
+	return Object.assign({}, node, { props, children });
+}
+
+/**
+ * Mark the options among the given children of a `<select>` element that 
+ * have one of the given values as selected.
+ *
+ * @param {array} children The children of the `<select>` element.
+ * @param {array} values The values of the selected options.
+ * @return {array} The children with the selected options marked.
+ */
+function selectOptions(children, values) {
+	return children.map(child => {
+		if (isFragment(child) || child && child.type === 'optgroup') {
+			return Object.assign({}, child, { 
+				children: selectOptions(child.children, values) 
+			});
+		} else if (!child || child.type !== 'option') {
+			return child;
+		}
+
+		// The value of an option defaults to its text
+		const value = child.props && child.props.value != null ? 
+			String(child.props.value) : child.children.map(String).join('');
+		const props = Object.assign({}, child.props, { selected: values.includes(value) });
+		return Object.assign({}, child, { props });
+	});
+}
+
+/**
+ * Determine whether the children of the given element are put on their own
+ * lines in pretty-printed output, which is the case if the element only 
+ * contains other elements and does not preserve its whitespace.
+ *
+ * @param {object} node The element to test.
+ * @return {bool} <code>true</code> if the children are put on their own 
+ * lines, <code>false</code> otherwise.
+ */
+function isBlock(node) {
+	return !PREFORMATTED.includes(node.type) 
+		&& node.children.some(child => !isPrimitive(child))
+		&& node.children.every(child => !isPrimitive(child) || !String(child).trim());
+}
+
+/**
+ * Combine the small chunks produced by the given iterator into chunks of at 
+ * least the given size.
+ *
+ * @param {Iterator} chunks The chunks to combine.
+ * @param {int} size The minimum size of the combined chunks.
+ * @return {Iterator} An iterator producing the combined chunks.
+ */
+function* batch(chunks, size) {
+	let buffer = '';
+
+	for (let chunk of chunks) {
+		buffer += chunk;
+
+		if (buffer.length >= size) {
+			yield buffer;
+			buffer = '';
+		}
+	}
+
+	if (buffer) 
+		yield buffer;
+}
 
 /**
  * Elements that do not require closing tags.
@@ -134,6 +495,33 @@ const VOID_ELEMENTS = [
 	'wbr'
 ];
 
+/**
+ * Elements whose state is determined by form props.
+ */
+const FORM_ELEMENTS = [
+	'input',
+	'textarea',
+	'select'
+];
+
+/**
+ * Elements whose whitespace is significant.
+ */
+const PREFORMATTED = [
+	'pre',
+	'textarea',
+	'script',
+	'style'
+];
+
+/**
+ * Elements whose content is not decoded in HTML.
+ */
+const RAW_TEXT = [
+	'script',
+	'style'
+];
+
 /**
  * Characters that should be escaped.
  */
@@ -141,6 +529,7 @@ const ESC = {
 	'<': '&lt;',
 	'>': '&gt;',
 	'"': '&quot;',
+	"'": '&#39;',
 	'&': '&amp;'
 };
 
@@ -151,5 +540,5 @@ const ESC = {
  * @return {string} The encoded string.
  */
 function encode(str) { 
-	return String(str).replace(/[<>"&]/g, c => ESC[c] || c);
+	return String(str).replace(/[<>"'&]/g, c => ESC[c] || c);
 }
@@ -0,0 +1,160 @@
+/*
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2017 Fabian Mastenbroek
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ */
+
+
+import assert from 'assert';
+import { describe, it, afterEach, mock } from 'node:test';
+import { h } from './vdom';
+import { render, renderToStream, renderToIterator } from './string';
+
+/*
+ * Checks for the string renderer.
+ */
+
+/**
+ * Collect the chunks emitted by the given stream.
+ *
+ * @param {Readable} stream The stream to read.
+ * @return {Promise} A promise resolving to the chunks.
+ */
+function read(stream) {
+	const chunks = [];
+
+	return new Promise((resolve, reject) => {
+		stream.on('data', chunk => chunks.push(String(chunk)));
+		stream.on('end', () => resolve(chunks));
+		stream.on('error', reject);
+	});
+}
+
+describe('streaming', () => {
+	const Row = ({ i }) => h('tr', {}, h('td', {}, String(i)), h('td', {}, `name ${i}`));
+	const table = () => h('table', {}, 
+		Array.from({ length: 500 }, (_, i) => h(Row, { key: i, i })));
+	const Broken = () => {
+		throw new Error('boom');
+	};
+
+	it('streams the same html as render', async () => {
+		const chunks = await read(renderToStream(table()));
+
+		assert.ok(chunks.length > 1);
+		assert.strictEqual(chunks.join(''), render(table()));
+	});
+
+	it('iterates over the same html as render', async () => {
+		const iterator = renderToIterator(table(), { size: 1000 });
+		const chunks = [];
+
+		for (let next; !(next = await iterator.next()).done;) {
+			chunks.push(next.value);
+		}
+
+		assert.ok(chunks.length > 1);
+		assert.strictEqual(chunks.join(''), render(table()));
+	});
+
+	it('emits errors through the stream', async () => {
+		await assert.rejects(read(renderToStream(h('div', {}, h(Broken)))), /boom/);
+	});
+});
+
+describe('output options', () => {
+	const page = () => h('html', {}, 
+		h('head', {}, h('meta', { charset: 'utf-8' })),
+		h('body', {}, 
+			h('p', {}, 'Hello ', h('b', {}, 'world')), 
+			h('pre', {}, 'a\n  b'),
+			h('input', { checked: true, value: '' })
+		)
+	);
+
+	it('separates children with newlines by default', () => {
+		assert.strictEqual(render(h('ul', {}, h('li', {}, 'a'), h('li', {}, 'b'))), 
+			'<ul><li>a</li>\n<li>b</li></ul>');
+	});
+
+	it('emits no whitespace in compact output', () => {
+		assert.strictEqual(render(page(), { format: 'compact', doctype: true }),
+			'<!DOCTYPE html>\n<html><head><meta charset="utf-8"></head><body>' +
+			'<p>Hello <b>world</b></p><pre>a\n  b</pre><input checked value></body></html>');
+	});
+
+	it('indents block content in pretty output', () => {
+		assert.strictEqual(render(page(), { format: 'pretty', indent: 4 }), [
+			'<html>',
+			'    <head>',
+			'        <meta charset="utf-8">',
+			'    </head>',
+			'    <body>',
+			'        <p>Hello <b>world</b></p>',
+			'        <pre>a\n  b</pre>',
+			'        <input checked value>',
+			'    </body>',
+			'</html>'
+		].join('\n'));
+	});
+
+	it('closes void elements and gives attributes a value in XHTML', () => {
+		assert.strictEqual(render(h('p', {}, h('br'), h('input', { checked: true })), 
+			{ mode: 'xhtml', format: 'compact' }),
+			'<p><br /><input checked="checked" /></p>');
+	});
+
+	it('closes empty elements in XML', () => {
+		assert.strictEqual(render(h('feed', {}, h('link', { href: 'a' }), h('id')), 
+			{ mode: 'xml', format: 'compact', doctype: true }),
+			'<?xml version="1.0" encoding="UTF-8"?>\n<feed><link href="a"/><id/></feed>');
+	});
+});
+
+describe('escaping', () => {
+	afterEach(() => {
+		mock.restoreAll();
+	});
+
+	it('encodes text and attribute values', () => {
+		assert.strictEqual(render(h('p', { title: '"><script>' }, '<img src=x onerror=alert(1)>&')),
+			'<p title="&quot;&gt;&lt;script&gt;">&lt;img src=x onerror=alert(1)&gt;&amp;</p>');
+	});
+
+	it('emits the text of script and style elements as raw text', () => {
+		assert.strictEqual(render(h('style', {}, 'a > b { content: "&" }')), 
+			'<style>a > b { content: "&" }</style>');
+		assert.strictEqual(render(h('script', {}, 'if (a < b && c) {}')), 
+			'<script>if (a < b && c) {}</script>');
+	});
+
+	it('escapes sequences that would end raw text elements', () => {
+		assert.strictEqual(render(h('script', {}, 'x = "</SCRIPT><b>"; y = "<!--"')), 
+			'<script>x = "<\\/SCRIPT><b>"; y = "<\\!--"</script>');
+		assert.strictEqual(render(h('style', {}, 'a::after { content: "</style>" }')), 
+			'<style>a::after { content: "<\\/style>" }</style>');
+	});
+
+	it('encodes the text of script elements in XML', () => {
+		assert.strictEqual(render(h('script', {}, 'a < b'), { mode: 'xml' }), 
+			'<script>a &lt; b</script>');
+	});
+
+	it('rejects invalid tag names', () => {
+		assert.throws(() => render(h('p onclick=x', {})), /Invalid tag name/);
+	});
+
+	it('drops invalid attribute names', () => {
+		const warnings = mock.method(console, 'warn', () => {}).mock;
+
+		assert.strictEqual(render(h('p', { 'a"><b': 1, id: 'x' })), '<p id="x"></p>');
+		assert.strictEqual(warnings.callCount(), 1);
+	});
+});
@@ -0,0 +1,354 @@
+/*
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2017 Fabian Mastenbroek
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ */
+
+import { flushSync } from './vdom';
+import { createRenderer, objectHost } from './renderer';
+
+/*
+ * A test renderer for the vdom.js library, which renders into a tree of plain
+ * objects instead of the DOM, so components can be tested in plain Node.
+ */
+
+/**
+ * Render a vnode (JSX) into a new test tree. Pending updates and effects are
+ * flushed before this function returns.
+ *
+ * @param {object} node The virtual DOM node to render.
+ * @return {TestRenderer} The renderer holding the test tree.
+ */
+export function create(node) {
+	const renderer = new TestRenderer();
+	renderer.update(node);
+	return renderer;
+}
+
+/**
+ * Invoke the handler of the given host node for the given event type, for 
+ * example `fire(button, 'click')` invokes the `onClick` prop. Pending updates
+ * and effects are flushed before this function returns.
+ *
+ * @param {TestNode} node The host node to fire the event on.
+ * @param {string} type The type of the event.
+ * @param {array} args The arguments passed to the handler. By default, a
+ * plain event object is passed.
+ * @return The value returned by the handler.
+ */
+export function fire(node, type, ...args) {
+	const name = 'on' + type[0].toUpperCase() + type.slice(1);
+	const handler = node.props && node.props[name];
+
+	if (typeof handler !== 'function') {
+		throw new Error(`The <${node.type}> node has no ${name} handler`);
+	}
+
+	if (!args.length) {
+		args = [{ type, target: node, preventDefault() {}, stopPropagation() {} }];
+	}
+	return flushSync(() => handler(...args));
+}
+
+/**
+ * A node in a test tree, which is either an element or a text node.
+ *
+ * @author Fabian Mastenbroek
+ */
+export class TestNode {
+	/**
+	 * Construct a {@link TestNode} object.
+	 *
+	 * @param {string} type The type of the element, or `#text` for text.
+	 * @param {object} props The props of the element.
+	 */
+	constructor(type, props = {}) {
+		this.type = type;
+		this.props = props;
+		this.children = [];
+		this.parent = null;
+		this.text = '';
+	}
+
+	/**
+	 * Determine the text content of this node and its descendants.
+	 *
+	 * @return {string} The text content of this node.
+	 */
+	get textContent() {
+		if (this.type === TEXT) {
+			return this.text;
+		}
+		return this.children.map(child => child.textContent).join('');
+	}
+
+	/**
+	 * Convert this node into a plain object, where text nodes are converted 
+	 * into strings and the props exclude `key`, `ref` and `children`.
+	 *
+	 * @return {object|string} The plain object representing this node.
+	 */
+	toJSON() {
+		if (this.type === TEXT) {
+			return this.text;
+		}
+
+		const props = {};
+		for (let [name, value] of Object.entries(this.props)) {
+			if (!IGNORED_PROPS.includes(name)) 
+				props[name] = value;
+		}
+
+		return { type: this.type, props, children: json(this.children) };
+	}
+}
+
+/**
+ * The renderer of a test tree, which allows the tree to be updated, 
+ * unmounted, searched and snapshotted.
+ *
+ * @author Fabian Mastenbroek
+ */
+export class TestRenderer {
+	/**
+	 * Construct a {@link TestRenderer} object.
+	 */
+	constructor() {
+		/** @private */
+		this._container = new TestNode(null);
+	}
+
+	/**
+	 * The host nodes at the root of the test tree.
+	 *
+	 * @return {array} The host nodes at the root.
+	 */
+	get root() {
+		return this._container.children;
+	}
+
+	/**
+	 * Render the given vnode (JSX) into the test tree, updating the 
+	 * components that were rendered before. Pending updates and effects are
+	 * flushed before this method returns.
+	 *
+	 * @param {object} node The virtual DOM node to render.
+	 */
+	update(node = '') {
+		flushSync(() => renderer.update(node, this._container));
+	}
+
+	/**
+	 * Unmount the components in the test tree and remove its nodes.
+	 */
+	unmount() {
+		flushSync(() => renderer.unmount(this._container));
+	}
+
+	/**
+	 * Convert the test tree into a plain object, or an array of plain objects
+	 * if multiple nodes are rendered at the root.
+	 *
+	 * @return {object|array|string} The plain object representing the tree,
+	 * or <code>null</code> if nothing is rendered.
+	 */
+	toJSON() {
+		const children = json(this.root);
+		return children.length > 1 ? children : children[0] || null;
+	}
+
+	/**
+	 * Serialize the test tree into an indented, markup-like string, which is
+	 * stable between runs and can be compared against a stored snapshot.
+	 *
+	 * @return {string} The snapshot of the test tree.
+	 */
+	toSnapshot() {
+		return [].concat(this.toJSON() || []).map(node => snapshot(node)).join('\n');
+	}
+
+	/**
+	 * Find all element nodes in the test tree that satisfy the given 
+	 * predicate, in document order.
+	 *
+	 * @param {function} predicate The function to test the nodes with.
+	 * @return {array} The matching nodes.
+	 */
+	findAll(predicate) {
+		const found = [];
+		const visit = node => {
+			if (node.type === TEXT) {
+				return;
+			} else if (predicate(node)) {
+				found.push(node);
+			}
+			node.children.forEach(visit);
+		};
+
+		this.root.forEach(visit);
+		return found;
+	}
+
+	/**
+	 * Find the first element node in the test tree that satisfies the given
+	 * predicate.
+	 *
+	 * @param {function} predicate The function to test the nodes with.
+	 * @return {TestNode} The first matching node or <code>null</code>.
+	 */
+	find(predicate) {
+		return this.findAll(predicate)[0] || null;
+	}
+
+	/**
+	 * Find all element nodes of the given type.
+	 *
+	 * @param {string} type The type of the elements to find.
+	 * @return {array} The matching nodes.
+	 */
+	findAllByType(type) {
+		return this.findAll(node => node.type === type);
+	}
+
+	/**
+	 * Find the first element node of the given type.
+	 *
+	 * @param {string} type The type of the element to find.
+	 * @return {TestNode} The first matching node or <code>null</code>.
+	 */
+	findByType(type) {
+		return this.findAllByType(type)[0] || null;
+	}
+
+	/**
+	 * Find all element nodes whose props include the given props.
+	 *
+	 * @param {object} props The props the elements should have.
+	 * @return {array} The matching nodes.
+	 */
+	findAllByProps(props) {
+		return this.findAll(node => Object.keys(props)
+			.every(name => node.props[name] === props[name]));
+	}
+
+	/**
+	 * Find the first element node whose props include the given props.
+	 *
+	 * @param {object} props The props the element should have.
+	 * @return {TestNode} The first matching node or <code>null</code>.
+	 */
+	findByProps(props) {
+		return this.findAllByProps(props)[0] || null;
+	}
+
+	/**
+	 * Find the innermost element node whose text content equals the given 
+	 * text or matches the given regular expression.
+	 *
+	 * @param {string|RegExp} text The text of the element to find.
+	 * @return {TestNode} The first matching node or <code>null</code>.
+	 */
+	findByText(text) {
+		const matches = node => text instanceof RegExp ? 
+			text.test(node.textContent) : node.textContent === text;
+
+		return this.find(node => matches(node) && 
+			!node.children.some(child => child.type !== TEXT && matches(child)));
+	}
+}
+
+/**
+ * The type of text nodes in a test tree.
+ */
+const TEXT = '#text';
+
+/**
+ * The props that are not part of the plain object representation of a node.
+ */
+const IGNORED_PROPS = ['key', 'ref', 'children'];
+
+/**
+ * The host configuration that applies virtual dom trees to a test tree.
+ */
+const host = Object.assign({}, objectHost, {
+	createElement(type, props) {
+		return new TestNode(type);
+	},
+	createText(text) {
+		const node = new TestNode(TEXT);
+		node.text = text;
+		return node;
+	},
+	setText(node, text) {
+		node.text = text;
+	},
+	setProps(node, props) {
+		node.props = props;
+	}
+});
+
+/**
+ * The renderer that applies virtual dom trees to test trees.
+ */
+const renderer = createRenderer(host);
+
+/**
+ * Convert the given host nodes into plain objects, leaving out empty text.
+ *
+ * @param {array} children The host nodes to convert.
+ * @return {array} The plain objects representing the host nodes.
+ */
+function json(children) {
+	return children
+		.filter(child => child.type !== TEXT || child.text)
+		.map(child => child.toJSON());
+}
+
+/**
+ * Serialize the given plain object representation of a host node into an
+ * indented, markup-like string.
+ *
+ * @param {object|string} node The plain object to serialize.
+ * @param {string} [indent=''] The indentation of the node.
+ * @return {string} The serialized node.
+ */
+function snapshot(node, indent = '') {
+	if (typeof node === 'string') {
+		return indent + node;
+	}
+
+	const props = Object.keys(node.props).sort()
+		.map(name => ` ${name}=${serializeProp(node.props[name])}`)
+		.join('');
+
+	if (!node.children.length) {
+		return `${indent}<${node.type}${props} />`;
+	}
+
+	const children = node.children
+		.map(child => snapshot(child, indent + '  '))
+		.join('\n');
+	return `${indent}<${node.type}${props}>\n${children}\n${indent}</${node.type}>`;
+}
+
+/**
+ * Serialize the given prop value for a snapshot.
+ *
+ * @param value The value of the prop.
+ * @return {string} The serialized value.
+ */
+function serializeProp(value) {
+	if (typeof value === 'string') {
+		return JSON.stringify(value);
+	} else if (typeof value === 'function') {
+		return '{[Function]}';
+	}
+	return `{${JSON.stringify(value)}}`;
+}
@@ -0,0 +1,98 @@
+/*
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2017 Fabian Mastenbroek
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ */
+
+
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { h, Component } from './vdom';
+import { create, fire } from './test';
+
+/*
+ * Checks for the test renderer.
+ */
+
+class Counter extends Component {
+	constructor(props, context) {
+		super(props, context);
+		this.state = { count: 0 };
+	}
+
+	componentWillUnmount() {
+		this.props.onUnmount();
+	}
+
+	render({ label }, { count }) {
+		return h('div', { className: 'counter' },
+			h('span', {}, `${label}: ${count}`),
+			h('button', { onClick: () => this.setState({ count: count + 1 }) }, '+')
+		);
+	}
+}
+
+describe('test renderer', () => {
+	it('renders into a tree of plain objects', () => {
+		const tree = create(h('p', { id: 'a' }, 'hello ', h('b', {}, 'world')));
+
+		assert.deepStrictEqual(tree.toJSON(), {
+			type: 'p',
+			props: { id: 'a' },
+			children: ['hello ', { type: 'b', props: {}, children: ['world'] }]
+		});
+		assert.strictEqual(tree.toSnapshot(), 
+			'<p id="a">\n  hello \n  <b>\n    world\n  </b>\n</p>');
+	});
+
+	it('flushes updates after firing events', () => {
+		const tree = create(h(Counter, { label: 'count', onUnmount() {} }));
+
+		fire(tree.findByType('button'), 'click');
+		fire(tree.findByType('button'), 'click');
+
+		assert.strictEqual(tree.findByText(/^count/).textContent, 'count: 2');
+		assert.strictEqual(tree.findByText('count: 2').type, 'span');
+	});
+
+	it('updates the components that were rendered before', () => {
+		const tree = create(h(Counter, { label: 'a', onUnmount() {} }));
+		const span = tree.findByType('span');
+
+		fire(tree.findByType('button'), 'click');
+		tree.update(h(Counter, { label: 'b', onUnmount() {} }));
+
+		assert.strictEqual(tree.findByType('span'), span);
+		assert.strictEqual(span.textContent, 'b: 1');
+	});
+
+	it('unmounts the components in the tree', () => {
+		let unmounted = 0;
+		const tree = create(h(Counter, { label: 'a', onUnmount: () => unmounted++ }));
+
+		tree.unmount();
+
+		assert.strictEqual(unmounted, 1);
+		assert.strictEqual(tree.toJSON(), null);
+	});
+
+	it('finds nodes by their props', () => {
+		const tree = create(h('ul', {}, 
+			h('li', { className: 'a' }, '1'), 
+			h('li', { className: 'b' }, '2'),
+			h('li', { className: 'a' }, '3')
+		));
+
+		assert.deepStrictEqual(
+			tree.findAllByProps({ className: 'a' }).map(node => node.textContent), 
+			['1', '3']);
+		assert.strictEqual(tree.findByProps({ className: 'c' }), null);
+	});
+});
@@ -11,7 +11,18 @@
  * furnished to do so, subject to the following conditions:
  */
 
-import { diff } from './dom';
+import { enqueueRender, enqueueEffect } from './scheduler';
+import { prepareHooks, runEffects, cleanupEffects } from './hooks';
+
+export { flushSync } from './scheduler';
+export { 
+	useState, 
+	useReducer, 
+	useEffect, 
+	useMemo, 
+	useRef, 
+	useContext 
+} from './hooks';
 
 /*
  * A basic lightweight virtual DOM library, written in ES6, with no regard 
@@ -39,6 +50,8 @@ export class Component {
 
 		/** @private */
 		this._dirty = false;
+		/** @private */
+		this._depth = 0;
 	}
 
 	/**
@@ -53,16 +66,22 @@ export class Component {
 
 	/**
 	 * Update component state by copying properties from `state` to `this.state`.
+	 * The component is re-rendered asynchronously, so multiple calls in the
+	 * same tick result in a single render.
 	 *
-	 * @param {object} state The new state to set.
+	 * @param {object|function} state The new state to set or a function that
+	 * computes the new state from the current state and props.
+	 * @param {function} [callback] A function to invoke after the component 
+	 * has been re-rendered.
 	 */
-	setState(state) {
-		this.prevState = Object.assign(this.state);
+	setState(state, callback) {
+		if (!this.prevState)
+			this.prevState = Object.assign({}, this.state);
 		if (typeof state === 'function') 
 			state = state(this.state, this.props);
-		this.state = Object.assign(this.state, state);
+		this.state = Object.assign({}, this.state, state);
 		this._dirty = true;
-		this.forceUpdate();
+		enqueueRender(this, callback);
 	}
 
 	/**
@@ -155,10 +174,52 @@ export class Component {
 	componentDidUpdate(prevProps, prevState) {}
 
 	/**
-	 * Immediately force the component to synchronously re-render.
+	 * Immediately force the component to synchronously re-render, without
+	 * consulting `shouldComponentUpdate()`.
+	 *
+	 * @param {function} [callback] A function to invoke after the component 
+	 * has been re-rendered.
 	 */
-	forceUpdate() {
-		diff(this._node._base, this._original, this._node);
+	forceUpdate(callback) {
+		this._force = true;
+		this._update();
+
+		if (callback)
+			callback.call(this);
+	}
+
+	/**
+	 * Re-render the component and apply the differences to the host nodes.
+	 *
+	 * @private
+	 */
+	_update() {
+		const prev = this._node;
+		const depth = prev._components.indexOf(this);
+		const trace = rendering;
+		let node;
+
+		try {
+			node = resolve(this._original, prev, depth, this._parent);
+		} catch (error) {
+			// Let the nearest error boundary render a fallback instead, where
+			// the component stack starts at the descendant that threw
+			const failing = rendering !== trace ? rendering : null;
+			rendering = trace;
+			captureError(this, error, failing);
+			return;
+		}
+
+		// Components that directly render this component share its output 
+		const outer = prev._components.slice(0, depth);
+		outer.forEach(component => component._node = node);
+		node._components = outer.concat(node._components);
+		node._key = prev._key;
+
+		// Apply the new output to the host nodes of the renderer, if the tree
+		// has been rendered by one
+		if (this._patch) 
+			this._patch(node, prev);
 	}
 }
 
@@ -176,6 +237,247 @@ export function h(type, props, ...args) {
 	return { type, props , children };
 }
 
+/**
+ * A component that renders its children without a wrapping element. 
+ * Components may also return an array of children, which is rendered as a
+ * fragment.
+ *
+ * @param {object} props The properties of the fragment.
+ * @return {array} The children of the fragment.
+ */
+export function Fragment(props) {
+	return props.children;
+}
+
+/**
+ * Create a ref object, which points at the DOM element or component instance 
+ * it is passed to as `ref` prop via its `current` property.
+ *
+ * @return {object} The ref object.
+ */
+export function createRef() {
+	return { current: null };
+}
+
+/**
+ * Point the given ref, which is either a function or a ref object, at the 
+ * given value.
+ *
+ * @param {function|object} ref The ref to update.
+ * @param value The DOM element, component instance or <code>null</code>.
+ */
+export function applyRef(ref, value) {
+	if (typeof ref === 'function') {
+		ref(value);
+	} else if (ref) {
+		ref.current = value;
+	}
+}
+
+/**
+ * Inform the components of the given vnode that their changes have been 
+ * committed to the host tree, in reverse order. Components that have not been 
+ * mounted yet are informed that they are mounted, while updated components 
+ * are informed that they are updated. Errors thrown by the components are 
+ * handled by their nearest error boundary.
+ *
+ * @param {object} node The vnode that has been committed.
+ */
+export function commit(node) {
+	if (node._components) {
+		for (let i = node._components.length - 1; i >= 0; i--) {
+			const component = node._components[i];
+			const updated = component._updated;
+			component._updated = null;
+
+			// Point the ref of the component at the component instance
+			attachRef(component);
+
+			try {
+				if (!component._mounted) {
+					component._mounted = true;
+					component.componentDidMount();
+				} else if (updated) {
+					component.componentDidUpdate(...updated);
+				}
+			} catch (error) {
+				captureError(component, error);
+			}
+		}
+	} 
+}
+
+/**
+ * Point the ref passed to the given component at the component instance, 
+ * if the ref changed.
+ *
+ * @param {Component} component The component to attach the ref of.
+ */
+function attachRef(component) {
+	const props = component._original && component._original.props || {};
+	const ref = props.__func ? null : props.ref;
+
+	if (props.__func && props.ref) {
+		warn(`Functional components cannot be given refs, the ref passed to ${props.__func.name || 'a functional component'} is ignored`);
+	}
+
+	if (ref !== component._ref) {
+		applyRef(component._ref, null);
+		applyRef(ref, component);
+		component._ref = ref;
+	}
+}
+
+/**
+ * Reset the refs of the elements in the given resolved vnode tree, whose host
+ * nodes are about to be removed.
+ *
+ * @param {object} node The resolved vnode tree.
+ */
+export function releaseRefs(node) {
+	node = current(node);
+
+	if (node && node.props && !isFragment(node)) {
+		applyRef(node.props.ref, null);
+	}
+
+	if (node && node.children) {
+		node.children.forEach(releaseRefs);
+	}
+}
+
+/**
+ * The number of contexts that have been created, used to give each context a
+ * unique key.
+ */
+let contexts = 0;
+
+/**
+ * Create a context that can be provided to all descendants of a component at
+ * any depth. A context consists of a `Provider` component that provides the
+ * value passed in its `value` prop and a `Consumer` component that renders its 
+ * child function with the nearest provided value (or the default value).
+ *
+ * @param defaultValue The value of the context if no value is provided.
+ * @return {object} An object containing the `Provider` and `Consumer` of the
+ * context.
+ */
+export function createContext(defaultValue) {
+	const id = `__context${contexts++}`;
+
+	class Provider extends Component {
+		getChildContext() {
+			return { [id]: this.props.value };
+		}
+
+		render(props) {
+			return props.children[0];
+		}
+	}
+
+	class Consumer extends Component {
+		render(props, _, ctx) {
+			return props.children[0](id in ctx ? ctx[id] : defaultValue);
+		}
+	}
+
+	return { Provider, Consumer, _id: id, _defaultValue: defaultValue };
+}
+
+/**
+ * A component that renders its `fallback` prop instead of its children while
+ * a descendant is loading. Descendants signal that they are loading by 
+ * throwing a promise from `render()`, after which the children are rendered 
+ * again once the promise settles.
+ *
+ * @author Fabian Mastenbroek
+ */
+export class Suspense extends Component {
+	/**
+	 * Render the children of the boundary, or the fallback while a 
+	 * descendant is loading.
+	 *
+	 * @param {object} props The properties passed to this component.
+	 */
+	render(props) {
+		return this._suspended ? props.fallback : props.children;
+	}
+}
+
+/**
+ * This class represents a component that only re-renders when its props, 
+ * state or context change, which are compared shallowly.
+ *
+ * @author Fabian Mastenbroek
+ */
+export class PureComponent extends Component {
+	/**
+	 * Determine whether the component should re-render, which is the case if
+	 * its props, state or context are not shallowly equal to the next ones.
+	 *
+	 * @param {object} props The next properties of the component.
+	 * @param {object} state The next state of the component.
+	 * @param {object} context The next context of the component.
+	 * @return {bool} <code>true</code> if the component should re-render, 
+	 * <code>false</code> otherwise.
+	 */
+	shouldComponentUpdate(props, state, context) {
+		return !shallowEqualProps(this.props, props) 
+			|| !shallowEqual(this.state, state) 
+			|| !shallowEqual(this.context, context);
+	}
+}
+
+/**
+ * Wrap the given functional component, so it only re-renders when its props
+ * change. By default, the props are compared shallowly, which can be changed 
+ * by passing a function that determines whether the props are equal.
+ *
+ * @param {function} fn The functional component to wrap.
+ * @param {function} [areEqual] A function returning <code>true</code> if the
+ * previous and the next props are equal.
+ * @return {function} The memoized functional component.
+ */
+export function memo(fn, areEqual = shallowEqualProps) {
+	const Memo = (props, ctx) => fn(props, ctx);
+	Memo._compare = areEqual;
+	Memo.displayName = `Memo(${fn.displayName || fn.name || 'Component'})`;
+	return Memo;
+}
+
+/**
+ * Create a component that loads the component it renders on demand, for
+ * example `lazy(() => import('./chart'))`. While the component is loading, the
+ * nearest {@link Suspense} boundary renders its fallback.
+ *
+ * @param {function} loader A function returning a promise that resolves to 
+ * the component or to a module whose default export is the component.
+ * @return {function} The lazy component.
+ */
+export function lazy(loader) {
+	let promise = null;
+	let type = null;
+	let failure = null;
+
+	class Lazy extends Component {
+		render(props) {
+			if (failure) {
+				throw failure;
+			} else if (type) {
+				return h(type, props, props.children);
+			}
+
+			promise = promise || Promise.resolve(loader()).then(
+				module => type = module && module.default || module,
+				error => failure = error);
+			throw promise;
+		}
+	}
+
+	Lazy.displayName = 'Lazy';
+	return Lazy;
+}
+
 /**
  * Determine whether the given virtual dom node is a primitive
  * node.
@@ -193,6 +495,17 @@ export function isPrimitive(node = {}) {
 		|| node instanceof Date;
 }
 
+/**
+ * Determine whether the given virtual dom node is a {@link Fragment}.
+ *
+ * @param node The virtual dom node to test.
+ * @return <code>true</code> if the node is a fragment, <code>false</code>
+ * otherwise.
+ */
+export function isFragment(node = {}) {
+	return !!node && node.type === Fragment;
+}
+
 /**
  * Determine whether the given virtual dom node is a {@link Component}.
  *
@@ -201,7 +514,8 @@ export function isPrimitive(node = {}) {
  * otherwise.
  */
 export function isComponent(node = {}) {
-	return node && typeof node.type === 'function' && node.type.prototype.render;
+	return node && typeof node.type === 'function' && !!node.type.prototype 
+		&& typeof node.type.prototype.render === 'function';
 }
 
 /**
@@ -213,10 +527,25 @@ export function isComponent(node = {}) {
  * <code>false</code> otherwise.
  */
 export function isFunctionalComponent(node = {}) {
-	return node && typeof node.type === 'function' 
+	return node && typeof node.type === 'function' && node.type !== Fragment
 		&& (!node.type.prototype || typeof node.type.prototype.render === 'undefined');
 }
 
+/**
+ * Report the given message to the console when running in development mode, 
+ * i.e. when `process.env.NODE_ENV` is not set to `production`.
+ *
+ * @param {string} message The message to report.
+ */
+export function warn(message) {
+	const production = typeof process !== 'undefined' && process.env 
+		&& process.env.NODE_ENV === 'production';
+
+	if (!production && typeof console !== 'undefined') {
+		console.warn(`vdom.js: ${message}`);
+	}
+}
+
 /**
  * Determine whether the two given virtual dom nodes are of a different type.
  *
@@ -227,67 +556,277 @@ export function isFunctionalComponent(node = {}) {
  */
 export function different(node, prev) {
 	return typeof node !== typeof prev 
-		|| isPrimitive(node) && !isPrimitive(node) 
+		|| isPrimitive(node) !== isPrimitive(prev)
 		|| node.type !== prev.type;
 }
 
+/**
+ * Obtain the key of the given virtual dom node, which is used to match the
+ * node with its counterpart in a previous tree.
+ *
+ * @param {object} node The virtual dom node to obtain the key of.
+ * @return The key of the node or <code>undefined</code> if the node has no
+ * key.
+ */
+export function key(node) {
+	if (node == null) {
+		return undefined;
+	} else if (node._key != null) {
+		// Resolved component output remembers the key of its component
+		return node._key;
+	}
+	return node.props ? node.props.key : undefined;
+}
+
+/**
+ * Match the given children with the children of the previous tree. Keyed 
+ * children are matched with the previous child with the same key, while 
+ * the remaining children are matched in order with the previous children
+ * without a key.
+ *
+ * @param {array} children The new children to match.
+ * @param {array} prevChildren The previous children to match against.
+ * @return {object} An object containing the previous child for each new 
+ * child at the same index (<code>matched</code>) and the previous children 
+ * that were not matched (<code>removed</code>).
+ */
+export function reconcile(children = [], prevChildren = []) {
+	const keyed = new Map();
+	const unkeyed = [];
+
+	for (let child of prevChildren) {
+		const k = key(child);
+		if (k != null && !keyed.has(k)) {
+			keyed.set(k, child);
+		} else if (child != null) {
+			unkeyed.push(child);
+		}
+	}
+
+	let next = 0;
+	const matched = children.map(child => {
+		const k = key(child);
+
+		if (k == null) {
+			return unkeyed[next++];
+		} else if (keyed.has(k)) {
+			const prev = keyed.get(k);
+			keyed.delete(k);
+			return prev;
+		}
+	});
+
+	const removed = [...keyed.values(), ...unkeyed.slice(next)];
+	return { matched, removed };
+}
+
+/**
+ * Obtain the most recently rendered version of the given resolved virtual 
+ * dom node. The output of a component that re-rendered by itself replaces
+ * the node that is still referenced by the tree of its parent.
+ *
+ * @param {object} node The resolved virtual dom node.
+ * @return {object} The most recent version of the node.
+ */
+export function current(node) {
+	const component = node && node._components && node._components[0];
+	return component && component._node || node;
+}
+
 /**
  * Resolve all lazy rendered components in a virtual dom tree.
  *
  * @param {object} node The virtual dom node to process.
  * @param {object} prev The previous virtual node tree.
  * @param {int} depth The component depth.
+ * @param {Component} [owner] The component that rendered the node.
  * @return {object} The virtual dom node that was processed.
  */
-export function resolve(node, prev = {}, depth = 0) {
-	const component = prev._components && prev._components[depth];
+export function resolve(node, prev = {}, depth = 0, owner = null) {
+	node = normalize(node);
 
-	// If the previous component is different that the current vnode, 
-	// unmount that component
-	if (component && !(isComponent(node) && component instanceof node.type)) {
-		// Unmount that component
-		component.componentWillUnmount();
+	// If the previous tree was rendered by a different component or element, 
+	// unmount that tree and resolve the vnode from scratch
+	if (replaces(node, prev, depth)) {
+		unmountComponents(prev, depth);
+		prev = {};
 	}
 
 	if (isFunctionalComponent(node)) {
-		return resolveFunctionalComponent(node, prev);
+		return resolveFunctionalComponent(node, prev, depth, owner);
 	} else if (isPrimitive(node)) {
-		return resolvePrimitive(node, prev);
+		return resolvePrimitive(node, prev, depth, owner);
 	} else if (isComponent(node)) {
 		// If this virtual dom node is a component, resolve that component to an
 		// actual virtual dom tree.
-		return resolveComponents(node, prev, depth);
+		return resolveComponents(node, prev, depth, owner);
 	}
 
+	// Replace the previous children that re-rendered by themselves by their
+	// current version, so the DOM renderer finds the same previous children
+	if (prev && prev.children)
+		prev.children = prev.children.map(current);
+
 	// Get the children of the vnodes
 	const prevChildren = prev && prev.children || [];
 	const currChildren = node && node.children || [];
-	const children = [];
-	const bound = Math.max(currChildren.length, prevChildren.length);
+	const { matched, removed } = reconcile(currChildren, prevChildren);
 
-	// Resolve the children of the vnodes and store the result
-	for (let i = 0; i < bound; i++) {
-		children[i] = resolve(currChildren[i], prevChildren[i]);
+	// Unmount the components of the previous children that have no 
+	// counterpart anymore, unless they want to leave first, in which case 
+	// the renderer unmounts them once they have left
+	for (let child of removed) {
+		if (leaves(child)) {
+			child._leaving = true;
+		} else {
+			unmountComponents(child);
+		}
 	}
 
-	// If the virtual dom node exists, set the resolved children as children
-	if (node) 
-		node.children = children;
+	// Resolve the children of the vnodes against their matching previous
+	// children, so component instances follow their key
+	const children = currChildren.map((child, i) => {
+		const k = key(child);
+		child = resolve(child, matched[i], 0, owner);
+
+		if (child && k != null) {
+			child._key = k;
+		}
+		return child;
+	});
+
+	// A fragment always contains a node, so it has a position in the DOM
+	if (isFragment(node) && !children.length) {
+		children.push(new String(''));
+	}
+
+	// Build a new node with the resolved children, since the vnode may still
+	// be referenced by its parent, for instance as `props.children`, and be
+	// rendered again
+	return Object.assign({}, node, { children });
+}
+
+/**
+ * Determine whether the given resolved vnode is rendered by a component 
+ * that delays its removal via `componentWillLeave(done)`.
+ *
+ * @param {object} node The resolved vnode.
+ * @return {bool} <code>true</code> if the vnode leaves before it is removed,
+ * <code>false</code> otherwise.
+ */
+function leaves(node) {
+	const components = node && node._components || [];
+	return components.some(component => 
+		typeof component.componentWillLeave === 'function');
+}
+
+/**
+ * Normalize the given virtual dom node, where arrays are converted into
+ * fragments and empty values (<code>null</code>, <code>undefined</code> and
+ * booleans) into empty text.
+ *
+ * @param node The virtual dom node to normalize.
+ * @return {object} The normalized virtual dom node.
+ */
+function normalize(node) {
+	if (Array.isArray(node)) {
+		return h(Fragment, null, ...node);
+	} else if (node == null || typeof node === 'boolean') {
+		return '';
+	}
 	return node;
 }
 
+/**
+ * Determine whether the given vnode replaces the given previous tree, which
+ * is the case if the vnode is a different component or element than the 
+ * one that rendered the previous tree.
+ *
+ * @param {object} node The normalized virtual dom node.
+ * @param {object} prev The previous virtual node tree.
+ * @param {int} depth The component depth.
+ * @return {bool} <code>true</code> if the vnode replaces the previous tree,
+ * <code>false</code> otherwise.
+ */
+function replaces(node, prev, depth) {
+	const component = prev._components && prev._components[depth];
+	const composite = isComponent(node) || isFunctionalComponent(node);
+
+	if (component) {
+		return !composite || !isInstance(component, node);
+	} else if (!isPrimitive(prev) && prev.type === undefined) {
+		// There is no previous tree
+		return false;
+	} else if (composite) {
+		return true;
+	} else if (isPrimitive(node) || isPrimitive(prev)) {
+		return isPrimitive(node) !== isPrimitive(prev);
+	}
+	return node.type !== prev.type;
+}
+
+/**
+ * Determine whether the given component has been constructed for the given
+ * component vnode.
+ *
+ * @param {Component} component The component to test.
+ * @param {object} node The component vnode.
+ * @return {bool} <code>true</code> if the component is an instance of the
+ * vnode's component, <code>false</code> otherwise.
+ */
+function isInstance(component, node) {
+	if (isFunctionalComponent(node)) {
+		return component.constructor === FunctionalComponent 
+			&& component.props.__func === node.type;
+	}
+	return component.constructor === node.type 
+		&& component.props.__func === node.props.__func;
+}
+
+/**
+ * Inform the components in the given resolved virtual dom tree that they
+ * are unmounted, where descendants are unmounted before their ancestors.
+ *
+ * @param {object} node The resolved virtual dom tree to unmount.
+ * @param {int} depth The component depth at which to start unmounting.
+ */
+export function unmountComponents(node, depth = 0) {
+	node = depth ? node : current(node);
+
+	if (!node) {
+		return;
+	}
+
+	if (node.children) {
+		node.children.forEach(child => unmountComponents(child));
+	}
+
+	const components = node._components || [];
+	for (let i = components.length - 1; i >= depth; i--) {
+		const component = components[i];
+
+		if (!component._unmounted) {
+			component._unmounted = true;
+			component.componentWillUnmount();
+			applyRef(component._ref, null);
+		}
+	}
+}
+
 /**
  * Resolve the given functional component.
  *
  * @param {object} node The virtual dom node to resolve.
  * @param {object} prev The previous virtual node tree.
+ * @param {int} depth The component depth.
+ * @param {Component} [owner] The component that rendered the node.
  * @return {object} The virtual dom node that was processed.
  */
-function resolveFunctionalComponent(node, prev = {}) {
+function resolveFunctionalComponent(node, prev = {}, depth = 0, owner = null) {
 	// If this virtual dom node is a functional component, wrap it in a
-	// PureComponent instance.
-	return resolve(h(PureComponent, Object.assign({}, node.props, 
-		{ __func: node.type }), node.children), prev);
+	// FunctionalComponent instance.
+	return resolve(h(FunctionalComponent, Object.assign({}, node.props, 
+		{ __func: node.type }), node.children), prev, depth, owner);
 }
 
 /**
@@ -295,7 +834,34 @@ function resolveFunctionalComponent(node, prev = {}) {
  *
  * @author Fabian Mastenbroek
  */
-class PureComponent extends Component {
+class FunctionalComponent extends Component {
+	/**
+	 * Determine whether the functional component should re-render, which is 
+	 * always the case unless the function has been wrapped by {@link memo}.
+	 * Changes in its hooks force the component to re-render.
+	 *
+	 * @param {object} props The next properties of the component.
+	 * @param {object} state The next state of the component.
+	 * @param {object} ctx The next context of the component.
+	 * @return {bool} <code>true</code> if the component should re-render, 
+	 * <code>false</code> otherwise.
+	 */
+	shouldComponentUpdate(props, state, ctx) {
+		const compare = props.__func._compare;
+
+		if (!compare) {
+			return true;
+		}
+
+		const strip = props => {
+			const rest = Object.assign({}, props);
+			delete rest.__func;
+			return rest;
+		};
+		return !compare(strip(this.props), strip(props)) 
+			|| !shallowEqual(this.context, ctx);
+	}
+
 	/**
 	 * Render this component with the given props, state and context.
 	 *
@@ -304,7 +870,34 @@ class PureComponent extends Component {
 	 * @param {object} ctx The context.
 	 */
 	render(props, _, ctx) {
-		return props.__func(props, ctx);
+		prepareHooks(this);
+
+		try {
+			return props.__func(props, ctx);
+		} finally {
+			prepareHooks(null);
+		}
+	}
+
+	/**
+	 * Run the effects of the functional component after it has been mounted.
+	 */
+	componentDidMount() {
+		enqueueEffect(() => runEffects(this));
+	}
+
+	/**
+	 * Run the effects of the functional component after it has been updated.
+	 */
+	componentDidUpdate() {
+		enqueueEffect(() => runEffects(this));
+	}
+
+	/**
+	 * Clean up the effects of the functional component.
+	 */
+	componentWillUnmount() {
+		cleanupEffects(this);
 	}
 }
 
@@ -313,11 +906,14 @@ class PureComponent extends Component {
  *
  * @param {object} node The virtual dom node to resolve.
  * @param {object} prev The previous virtual node tree.
+ * @param {int} depth The component depth.
+ * @param {Component} [owner] The component that rendered the node.
  * @return {object} The virtual dom node that was processed.
  */
-function resolvePrimitive(node, prev = {}) {
+function resolvePrimitive(node, prev = {}, depth = 0, owner = null) {
 	// Box primitive nodes so we can attach attributes to them
-	return node instanceof String ? node : resolve(new String(node), prev);
+	return node instanceof String ? node : 
+		resolve(new String(node), prev, depth, owner);
 }
 
 /**
@@ -326,13 +922,19 @@ function resolvePrimitive(node, prev = {}) {
  * @param {object} node The virtual dom node to process.
  * @param {object} prev The previous virtual node tree.
  * @param {int} depth The component depth.
+ * @param {Component} [owner] The component that rendered the node.
  */
-function resolveComponents(node, prev = {}, depth = 0) {
+function resolveComponents(node, prev = {}, depth = 0, owner = null) {
+	// Keep track of the component that is being resolved, so errors can be
+	// traced back to the component that caused them
+	const trace = rendering;
+	const entry = rendering = { type: node.type, props: node.props, owner };
+
 	// If the previous tree contains a component, re-use that component
 	let component = prev._components && prev._components[depth];
 	let mount = true;
 	let props = Object.assign({}, node.props, { children: node.children });
-	let context = {};
+	let context = owner ? owner._childContext : {};
 	
 	// If the component does not exist in the previous tree or was of a, 
 	// different type, construct the new component.
@@ -340,35 +942,50 @@ function resolveComponents(node, prev = {}, depth = 0) {
 		component = new node.type(props, context);
 		mount = false;
 		component.componentWillMount();
+
+		// Re-renders of the component are applied by the renderer of the tree
+		component._patch = owner ? owner._patch : patching;
 	}
 
-	context = component.context;
+	// Remember the position of the component in the component tree, so 
+	// parents can be rendered before their children
+	component._parent = owner;
+	component._depth = owner ? owner._depth + 1 : 0;
+
 	const state = component.state;
 	const prevProps = component.props;
 	const prevState = component.prevState || state;
-	const prevContext = component.prevContext || context;
+	const prevContext = component.context;
 
 	let dirty = !mount;
-	let ret = prev;
 
-	// If the props of the component changed, the component is dirty
-	if (props !== prevProps) {
+	// If the component is rendered by its parent again, the component 
+	// receives new props and is dirty
+	if (mount && node !== component._original) {
 		component._dirty = true;
 		component.componentWillReceiveProps(props);
 	}
 
+	// If the context provided by the ancestors of the component changed, the 
+	// component is dirty
+	if (mount && !shallowEqual(context, prevContext)) {
+		component._dirty = true;
+	}
+
 	// If the component is flagged dirty, determine whether we should update it
-	if (component._dirty) {
+	if (mount && (component._dirty || component._force)) {
 		// Restore component to old state
 		component.props = prevProps;
 		component.state = prevState;
 		component.context = prevContext;
 
-		// Ask the component whether we should update
-		dirty = dirty || component.shouldComponentUpdate(props, state, context);
+		// Ask the component whether we should update, unless the update
+		// is forced
+		dirty = component._force 
+			|| component.shouldComponentUpdate(props, state, context);
 
 		// If the component should re-render, inform the component
-		if (dirty && !mount) {
+		if (dirty) {
 			component.componentWillUpdate(props, state, context);
 		}
 
@@ -388,9 +1005,36 @@ function resolveComponents(node, prev = {}, depth = 0) {
 		// Save reference to the original vdom tree
 		component._original = node;
 
+		// Determine the context the component provides to its descendants
+		component._childContext = getChildContext(component, context);
+
 		// (Re-)render the dirty component and resolve sub-components in the tree.
-		node = component.render(props, state, context);
-		node = resolve(node, prev, depth + 1);
+		if (component._error) {
+			// A descendant failed outside of rendering, so render a fallback
+			node = recover(component, component._error, component._trace, prev, depth);
+		} else {
+			node = component.render(props, state, context);
+
+			try {
+				node = resolve(node, prev, depth + 1, component);
+			} catch (error) {
+				if (isThenable(error) && component instanceof Suspense) {
+					// Render the fallback while the descendant is loading
+					rendering = entry;
+					suspend(component, error);
+					unmountComponents(prev, depth + 1);
+					node = component.render(props, state, context);
+					node = resolve(node, {}, depth + 1, component);
+				} else if (isThenable(error) || !isBoundary(component)) {
+					throw error;
+				} else {
+					// Render a fallback if the component is an error boundary
+					const failing = rendering;
+					rendering = entry;
+					node = recover(component, error, failing, prev, depth);
+				}
+			}
+		}
 
 		// Keep a history of the component in the tree
 		node._components = node._components || [];
@@ -400,9 +1044,33 @@ function resolveComponents(node, prev = {}, depth = 0) {
 
 		// Component is cleaned
 		component._dirty = false;
+		component._force = false;
+
+		// Inform the component that we updated it, once the update has been 
+		// committed to the DOM
+		if (mount)
+			component._updated = [prevProps, prevState, prevContext];
+	} else {
+		// The component decided not to update, so keep its previous output
+		component._original = node;
+		component._dirty = false;
+		node = prev;
 
-		// Inform the component that we updated it
-		component.componentDidUpdate(prevProps, prevState, prevContext);
+		// The components rendering this component add themselves to the
+		// output again, so only keep this component and its descendants
+		node._components = node._components.slice(depth);
+
+		// The descendants of the component still need to receive changes in 
+		// the context, so re-render the child components if it changed
+		const childContext = getChildContext(component, context);
+		if (!shallowEqual(childContext, component._childContext)) {
+			component._childContext = childContext;
+
+			for (let child of childComponents(component)) {
+				child._dirty = true;
+				enqueueRender(child);
+			}
+		}
 	}
 
 	// Reset the previous state of the component
@@ -410,5 +1078,315 @@ function resolveComponents(node, prev = {}, depth = 0) {
 	component.prevState = null;
 	component.prevContext = null;
 
+	rendering = trace;
 	return node;
 }
+
+/**
+ * The component that is currently being resolved.
+ */
+let rendering = null;
+
+/**
+ * The function that applies the re-rendered output of the components in the
+ * tree that is currently being resolved.
+ */
+let patching = null;
+
+/**
+ * Resolve a virtual dom tree for a renderer. When a component in the tree 
+ * re-renders by itself, its new output is applied by the given function.
+ *
+ * @param {function} patch The function to invoke with the new and the 
+ * previous output of a component that re-rendered by itself.
+ * @param {object} node The virtual dom node to resolve.
+ * @param {object} prev The previous virtual node tree.
+ * @return {object} The virtual dom node that was resolved.
+ */
+export function resolveWith(patch, node, prev) {
+	const outer = patching;
+	patching = patch;
+
+	try {
+		return resolve(node, prev);
+	} finally {
+		patching = outer;
+	}
+}
+
+/**
+ * Determine whether the given component is an error boundary, which catches
+ * the errors thrown by its descendants by implementing 
+ * `componentDidCatch(error, info)` or a static `getDerivedStateFromError(error)`
+ * method.
+ *
+ * @param {Component} component The component to test.
+ * @return {bool} <code>true</code> if the component is an error boundary,
+ * <code>false</code> otherwise.
+ */
+function isBoundary(component) {
+	return typeof component.componentDidCatch === 'function'
+		|| typeof component.constructor.getDerivedStateFromError === 'function';
+}
+
+/**
+ * Let the nearest error boundary of the given component handle the given 
+ * error, which was thrown outside of rendering. The error boundary is 
+ * re-rendered asynchronously with a fallback.
+ *
+ * @param {Component} failing The component that threw the error.
+ * @param error The error that was thrown.
+ * @param {object} [trace] The descendant of the component that was being
+ * resolved when the error was thrown, if the error was thrown while the 
+ * component re-rendered.
+ */
+export function captureError(failing, error, trace) {
+	let component = failing._parent;
+	const matches = isThenable(error) ? 
+		c => c instanceof Suspense : isBoundary;
+
+	while (component && !matches(component)) {
+		component = component._parent;
+	}
+
+	if (!component) {
+		throw error;
+	} else if (isThenable(error)) {
+		// Render the fallback of the boundary while the descendant is loading
+		suspend(component, error);
+		component._dirty = true;
+		component._force = true;
+		enqueueRender(component);
+		return;
+	}
+
+	component._error = error;
+	component._trace = trace || { 
+		type: failing.constructor, 
+		props: failing.props, 
+		owner: failing._parent 
+	};
+	component._dirty = true;
+	component._force = true;
+	enqueueRender(component);
+}
+
+/**
+ * Determine whether the given value is a promise, which is thrown by 
+ * components that are loading.
+ *
+ * @param value The value to test.
+ * @return {bool} <code>true</code> if the value is a promise, 
+ * <code>false</code> otherwise.
+ */
+function isThenable(value) {
+	return !!value && typeof value.then === 'function';
+}
+
+/**
+ * The promises that suspended the tree that is being resolved by 
+ * {@link resolveAsync}, or <code>null</code> if the fallbacks should be 
+ * rendered until the promises settle.
+ */
+let pending = null;
+
+/**
+ * Let the given {@link Suspense} boundary render its fallback until the 
+ * given promise settles, after which its children are rendered again.
+ *
+ * @param {Suspense} component The boundary to suspend.
+ * @param {Promise} promise The promise the descendant is waiting for.
+ */
+function suspend(component, promise) {
+	component._suspended = true;
+
+	if (pending) {
+		pending.push(promise);
+		return;
+	} else if (!component._patch) {
+		// Without a renderer, the tree is not rendered again
+		return;
+	}
+
+	const retry = () => {
+		component._suspended = false;
+		component._dirty = true;
+		component._force = true;
+		enqueueRender(component);
+	};
+	promise.then(retry, retry);
+}
+
+/**
+ * Resolve the given virtual dom tree once the lazy components and the data
+ * in the tree have loaded, instead of rendering the fallbacks of the 
+ * {@link Suspense} boundaries. The tree is resolved again whenever a
+ * descendant was loading.
+ *
+ * @param {object} node The virtual dom node to resolve.
+ * @return {Promise} A promise resolving to the resolved virtual dom tree.
+ */
+export async function resolveAsync(node) {
+	for (;;) {
+		const promises = pending = [];
+		let root;
+
+		try {
+			root = resolve(node);
+		} catch (error) {
+			if (!isThenable(error))
+				throw error;
+			promises.push(error);
+		} finally {
+			pending = null;
+		}
+
+		if (!promises.length) {
+			return root;
+		}
+
+		// Wait for the descendants to load, where failures are thrown by 
+		// the descendants when the tree is resolved again
+		await Promise.all(promises.map(promise => promise.then(() => {}, () => {})));
+	}
+}
+
+/**
+ * Recover the given error boundary from an error thrown in its subtree. The
+ * failing subtree is unmounted, after which the error boundary is informed
+ * and rendered again from scratch.
+ *
+ * @param {Component} component The error boundary.
+ * @param error The error that was thrown.
+ * @param {object} trace The component that was being resolved.
+ * @param {object} prev The previous virtual node tree.
+ * @param {int} depth The component depth of the error boundary.
+ * @return {object} The virtual dom node rendered by the error boundary.
+ */
+function recover(component, error, trace, prev, depth) {
+	const Type = component.constructor;
+	component._error = null;
+	component._trace = null;
+
+	// Unmount the failing subtree
+	unmountComponents(prev, depth + 1);
+
+	if (typeof Type.getDerivedStateFromError === 'function') {
+		const state = Type.getDerivedStateFromError(error);
+		component.state = Object.assign({}, component.state, state);
+	}
+
+	if (typeof component.componentDidCatch === 'function') {
+		component.componentDidCatch(error, { componentStack: componentStack(trace) });
+	}
+
+	const node = component.render(component.props, component.state, component.context);
+	return resolve(node, {}, depth + 1, component);
+}
+
+/**
+ * Describe the path through the component tree to the given component, for 
+ * the information passed to `componentDidCatch()`.
+ *
+ * @param {object} trace The component that was being resolved.
+ * @return {string} The component stack.
+ */
+function componentStack(trace) {
+	let stack = '';
+
+	if (trace) {
+		stack += `\n    in ${componentName(trace.type, trace.props)}`;
+
+		for (let owner = trace.owner; owner; owner = owner._parent) {
+			stack += `\n    in ${componentName(owner.constructor, owner.props)}`;
+		}
+	}
+	return stack;
+}
+
+/**
+ * Determine the name of the given component type.
+ *
+ * @param {function} type The type of the component.
+ * @param {object} props The props of the component.
+ * @return {string} The name of the component.
+ */
+function componentName(type, props = {}) {
+	if (props.__func) {
+		type = props.__func;
+	}
+	return type.displayName || type.name || 'Component';
+}
+
+/**
+ * Determine the context the given component provides to its descendants,
+ * which consists of the context of the component extended with the result of
+ * its `getChildContext()` method.
+ *
+ * @param {Component} component The component to get the child context of.
+ * @param {object} context The context the component received.
+ * @return {object} The context for the descendants of the component.
+ */
+function getChildContext(component, context) {
+	if (typeof component.getChildContext !== 'function') {
+		return context;
+	}
+	return Object.assign({}, context, component.getChildContext());
+}
+
+/**
+ * Find the components that have been rendered by the given component.
+ *
+ * @param {Component} component The component to find the children of.
+ * @param {object} node The resolved virtual dom tree to search.
+ * @param {array} found The array to add the child components to.
+ * @return {array} The child components of the component.
+ */
+function childComponents(component, node = component._node, found = []) {
+	const child = node && node._components && 
+		node._components.find(c => c._parent === component);
+
+	if (child) {
+		found.push(child);
+	} else if (node && node.children) {
+		node.children.forEach(n => childComponents(component, current(n), found));
+	}
+	return found;
+}
+
+/**
+ * Determine whether the two given props objects are shallowly equal, where 
+ * the children are equal if they consist of the same vnodes.
+ *
+ * @param {object} a The first props object to compare.
+ * @param {object} b The second props object to compare.
+ * @return {bool} <code>true</code> if the props are shallowly equal,
+ * <code>false</code> otherwise.
+ */
+function shallowEqualProps(a = {}, b = {}) {
+	const children = a => a.children || [];
+	const same = children(a).length === children(b).length 
+		&& children(a).every((child, i) => child === children(b)[i]);
+	return same && shallowEqual(
+		Object.assign({}, a, { children: null }), 
+		Object.assign({}, b, { children: null }));
+}
+
+/**
+ * Determine whether the two given objects have the same keys with strictly
+ * equal values.
+ *
+ * @param {object} a The first object to compare.
+ * @param {object} b The second object to compare.
+ * @return {bool} <code>true</code> if the objects are shallowly equal,
+ * <code>false</code> otherwise.
+ */
+export function shallowEqual(a = {}, b = {}) {
+	if (a === b) {
+		return true;
+	}
+
+	const keys = Object.keys(a);
+	return keys.length === Object.keys(b).length 
+		&& keys.every(key => key in b && a[key] === b[key]);
+}
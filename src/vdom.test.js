@@ -0,0 +1,530 @@
+/*
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2017 Fabian Mastenbroek
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ */
+
+
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { h, Component, PureComponent, Fragment, Suspense, createContext, createRef, lazy, memo, 
+	flushSync } from './vdom';
+import { render, renderToStringAsync } from './string';
+import { create } from './test';
+
+/*
+ * Checks for the resolution of components in the virtual dom tree.
+ */
+
+describe('keyed children', () => {
+	class Item extends Component {
+		constructor(props, context) {
+			super(props, context);
+			this.state = { initial: props.id };
+		}
+
+		componentWillUnmount() {
+			this.props.unmounted.push(this.props.id);
+		}
+
+		render({ id }, { initial }) {
+			return h('li', {}, `${id}:${initial}`);
+		}
+	}
+
+	const list = (ids, unmounted = []) => h('ul', {}, 
+		ids.map(id => h(Item, { key: id, id, unmounted })));
+
+	it('keeps the state and nodes of moved children', () => {
+		const tree = create(list(['a', 'b', 'c']));
+		const [a, b, c] = tree.findAllByType('li');
+
+		tree.update(list(['c', 'a', 'b']));
+
+		assert.deepStrictEqual(tree.findAllByType('li'), [c, a, b]);
+		assert.strictEqual(tree.findByType('ul').textContent, 'c:ca:ab:b');
+	});
+
+	it('unmounts the removed children only', () => {
+		const unmounted = [];
+		const tree = create(list(['a', 'b', 'c', 'd'], unmounted));
+		const [a, , c] = tree.findAllByType('li');
+
+		tree.update(list(['c', 'e', 'a'], unmounted));
+
+		assert.deepStrictEqual(unmounted.sort(), ['b', 'd']);
+		assert.strictEqual(tree.findAllByType('li')[0], c);
+		assert.strictEqual(tree.findAllByType('li')[2], a);
+		assert.strictEqual(tree.findByType('ul').textContent, 'c:ce:ea:a');
+	});
+
+	it('matches unkeyed children by position', () => {
+		const tree = create(h('ul', {}, h('li', {}, 'a'), h('li', {}, 'b')));
+		const [first] = tree.findAllByType('li');
+
+		tree.update(h('ul', {}, h('li', {}, 'b')));
+
+		assert.deepStrictEqual(tree.findAllByType('li'), [first]);
+		assert.strictEqual(first.textContent, 'b');
+	});
+});
+
+describe('fragments', () => {
+	const Pair = ({ a, b }) => [h('dt', { key: 'a' }, a), h('dd', { key: 'b' }, b)];
+	const Empty = () => null;
+
+	it('renders the children of fragments and arrays in place', () => {
+		const tree = create(h('dl', {}, 
+			h(Pair, { a: '1', b: '2' }),
+			h(Fragment, {}, h('dt', {}, '3'), h('dd', {}, '4')),
+			h(Empty)
+		));
+
+		assert.strictEqual(tree.toSnapshot(), 
+			'<dl>\n  <dt>\n    1\n  </dt>\n  <dd>\n    2\n  </dd>\n' + 
+			'  <dt>\n    3\n  </dt>\n  <dd>\n    4\n  </dd>\n</dl>');
+	});
+
+	it('updates the children of fragments in place', () => {
+		const tree = create(h('dl', {}, h(Pair, { a: '1', b: '2' }), h('dt', {}, 'end')));
+		const [first, , last] = tree.findByType('dl').children;
+
+		tree.update(h('dl', {}, h(Pair, { a: '3', b: '4' }), h('dt', {}, 'end')));
+
+		assert.strictEqual(tree.findByType('dl').children[0], first);
+		assert.strictEqual(tree.findByType('dl').children[2], last);
+		assert.strictEqual(tree.findByType('dl').textContent, '34end');
+	});
+
+	it('renders nothing for null', () => {
+		const tree = create(h(Empty));
+
+		assert.strictEqual(tree.toJSON(), null);
+
+		tree.update(h(Pair, { a: '1', b: '2' }));
+
+		assert.strictEqual(tree.root.length, 2);
+	});
+});
+
+describe('context', () => {
+	class Theme extends Component {
+		getChildContext() {
+			return { color: this.props.color };
+		}
+
+		render({ children }) {
+			return h('section', {}, children);
+		}
+	}
+
+	const Label = (props, { color = 'none' }) => h('span', {}, color);
+
+	it('passes the child context through elements to descendants', () => {
+		const tree = create(h('div', {}, 
+			h(Theme, { color: 'red' }, h('p', {}, h(Label))),
+			h(Label)
+		));
+
+		assert.deepStrictEqual(
+			tree.findAllByType('span').map(node => node.textContent), 
+			['red', 'none']);
+	});
+
+	it('lets nested components override the context', () => {
+		const tree = create(h(Theme, { color: 'red' }, 
+			h(Label), 
+			h(Theme, { color: 'blue' }, h(Label))
+		));
+
+		assert.deepStrictEqual(
+			tree.findAllByType('span').map(node => node.textContent), 
+			['red', 'blue']);
+	});
+
+	it('updates the descendants when the context changes', () => {
+		const tree = create(h(Theme, { color: 'red' }, h('p', {}, h(Label))));
+
+		tree.update(h(Theme, { color: 'blue' }, h('p', {}, h(Label))));
+
+		assert.strictEqual(tree.findByType('span').textContent, 'blue');
+	});
+
+	it('provides the values of contexts created with createContext', () => {
+		const { Provider, Consumer } = createContext('light');
+		const app = value => h('div', {}, 
+			h(Provider, { value }, h('p', {}, h(Consumer, {}, theme => theme))),
+			h(Consumer, {}, theme => theme)
+		);
+		const tree = create(app('dark'));
+
+		assert.strictEqual(tree.findByType('div').textContent, 'darklight');
+
+		tree.update(app('dim'));
+
+		assert.strictEqual(tree.findByType('div').textContent, 'dimlight');
+	});
+});
+
+describe('error boundaries', () => {
+	let caught, toggle;
+
+	class Boundary extends Component {
+		static getDerivedStateFromError(error) {
+			return { error };
+		}
+
+		componentDidCatch(error, info) {
+			caught.push([error.message, info.componentStack]);
+		}
+
+		render({ children }, { error }) {
+			return error ? h('p', {}, 'failed') : children[0];
+		}
+	}
+
+	const Bad = ({ fail }) => {
+		if (fail) 
+			throw new Error('boom');
+		return h('i', {}, 'ok');
+	};
+
+	class Toggle extends Component {
+		constructor(props, context) {
+			super(props, context);
+			toggle = this;
+			this.state = { fail: props.fail };
+		}
+
+		render(props, { fail }) {
+			return h('div', {}, h(Bad, { fail }));
+		}
+	}
+
+	const stack = '\n    in Bad\n    in Toggle\n    in Boundary';
+
+	it('renders the fallback when a descendant fails to mount', () => {
+		caught = [];
+		const tree = create(h(Boundary, {}, h(Toggle, { fail: true })));
+
+		assert.strictEqual(tree.findByType('p').textContent, 'failed');
+		assert.deepStrictEqual(caught, [['boom', stack]]);
+	});
+
+	it('renders the fallback when a descendant fails to update', () => {
+		caught = [];
+		const tree = create(h(Boundary, {}, h(Toggle, { fail: false })));
+
+		flushSync(() => toggle.setState({ fail: true }));
+
+		assert.strictEqual(tree.findByType('i'), null);
+		assert.strictEqual(tree.findByType('p').textContent, 'failed');
+		assert.deepStrictEqual(caught, [['boom', stack]]);
+	});
+
+	it('throws errors without a boundary', () => {
+		assert.throws(() => create(h(Toggle, { fail: true })), /boom/);
+	});
+
+	it('renders the fallback in the string renderer', () => {
+		caught = [];
+
+		assert.strictEqual(render(h(Boundary, {}, h(Toggle, { fail: true }))), 
+			'<p>failed</p>');
+		assert.deepStrictEqual(caught, [['boom', stack]]);
+	});
+});
+
+describe('suspense', () => {
+	const tick = () => new Promise(resolve => setTimeout(resolve));
+	let renders;
+
+	const load = () => {
+		let done;
+		const promise = new Promise(resolve => done = resolve);
+		const Lazy = lazy(() => promise);
+		Lazy.done = () => done({ default: ({ text }) => renders.push(text) && h('b', {}, text) });
+		return Lazy;
+	};
+
+	it('renders the fallback until the component has loaded', async () => {
+		renders = [];
+		const Lazy = load();
+		const tree = create(h(Suspense, { fallback: h('i', {}, 'loading') }, h(Lazy, { text: 'done' })));
+
+		assert.strictEqual(tree.findByType('i').textContent, 'loading');
+
+		Lazy.done();
+		await tick();
+
+		assert.strictEqual(tree.findByType('i'), null);
+		assert.strictEqual(tree.findByType('b').textContent, 'done');
+	});
+
+	it('waits for the components to load in renderToStringAsync', async () => {
+		renders = [];
+		const Lazy = load();
+		const html = renderToStringAsync(h(Suspense, { fallback: 'loading' }, h(Lazy, { text: 'done' })));
+
+		Lazy.done();
+
+		assert.strictEqual(await html, '<b>done</b>');
+	});
+
+	it('does not render again after rendering to a string', async () => {
+		renders = [];
+		const Lazy = load();
+
+		assert.strictEqual(render(h(Suspense, { fallback: 'loading' }, h(Lazy, { text: 'done' }))), 
+			'loading');
+
+		Lazy.done();
+		await tick();
+
+		assert.deepStrictEqual(renders, []);
+	});
+});
+
+describe('memoized components', () => {
+	let renders, mounts, unmounts;
+
+	class Pure extends PureComponent {
+		componentDidMount() {
+			mounts++;
+		}
+
+		componentWillUnmount() {
+			unmounts++;
+		}
+
+		render({ value }) {
+			renders++;
+			return h('span', {}, String(value));
+		}
+	}
+
+	const reset = () => renders = mounts = unmounts = 0;
+
+	it('renders pure components only when their props change', () => {
+		reset();
+		const tree = create(h('div', {}, h(Pure, { value: 1 })));
+
+		tree.update(h('div', {}, h(Pure, { value: 1 })));
+		tree.update(h('div', {}, h(Pure, { value: 1 })));
+
+		assert.strictEqual(renders, 1);
+
+		tree.update(h('div', {}, h(Pure, { value: 2 })));
+
+		assert.strictEqual(renders, 2);
+		assert.strictEqual(tree.findByType('span').textContent, '2');
+	});
+
+	it('keeps the components that did not render mounted', () => {
+		reset();
+		const Wrapper = ({ value }) => h(Pure, { value });
+		const tree = create(h(Wrapper, { value: 1 }));
+
+		tree.update(h(Wrapper, { value: 1 }));
+		tree.update(h(Wrapper, { value: 1 }));
+		tree.update(h(Wrapper, { value: 2 }));
+
+		assert.deepStrictEqual([mounts, unmounts], [1, 0]);
+	});
+
+	it('compares the props of memoized functions', () => {
+		reset();
+		const Label = memo(({ text }) => ++renders && h('b', {}, text), 
+			(prev, next) => prev.text.toLowerCase() === next.text.toLowerCase());
+		const tree = create(h(Label, { text: 'a' }));
+
+		tree.update(h(Label, { text: 'A' }));
+
+		assert.strictEqual(renders, 1);
+		assert.strictEqual(tree.findByType('b').textContent, 'a');
+
+		tree.update(h(Label, { text: 'b' }));
+
+		assert.strictEqual(renders, 2);
+	});
+
+	it('renders memoized components when their state changes', () => {
+		let counter;
+
+		class Counter extends PureComponent {
+			constructor(props, context) {
+				super(props, context);
+				counter = this;
+				this.state = { count: 0 };
+			}
+
+			render(props, { count }) {
+				return h('i', {}, String(count));
+			}
+		}
+
+		const tree = create(h(Counter));
+		flushSync(() => counter.setState({ count: 1 }));
+
+		assert.strictEqual(tree.findByType('i').textContent, '1');
+	});
+});
+
+describe('unmounting', () => {
+	let calls;
+
+	class Node extends Component {
+		componentWillUnmount() {
+			calls.push(this.props.name);
+		}
+
+		render({ name, children }) {
+			return h('div', {}, name, children);
+		}
+	}
+
+	it('unmounts descendants before their ancestors', () => {
+		calls = [];
+		const tree = create(h(Node, { name: 'a' }, 
+			h(Node, { name: 'b' }, h(Node, { name: 'c' })), 
+			h(Node, { name: 'd' })
+		));
+
+		tree.unmount();
+
+		assert.deepStrictEqual(calls, ['c', 'b', 'd', 'a']);
+	});
+
+	it('unmounts components that are replaced by another type', () => {
+		calls = [];
+		const tree = create(h('main', {}, h(Node, { name: 'a' }, h(Node, { name: 'b' }))));
+
+		tree.update(h('main', {}, h('p', {}, 'text')));
+
+		assert.deepStrictEqual(calls, ['b', 'a']);
+		assert.strictEqual(tree.findByType('div'), null);
+	});
+
+	it('ignores state changes after unmounting', () => {
+		let instance;
+
+		class Late extends Component {
+			constructor(props, context) {
+				super(props, context);
+				instance = this;
+			}
+
+			render() {
+				return h('span', {}, 'late');
+			}
+		}
+
+		const tree = create(h(Late));
+		tree.unmount();
+
+		flushSync(() => instance.setState({ value: 1 }));
+
+		assert.strictEqual(tree.toJSON(), null);
+	});
+});
+
+describe('refs', () => {
+	class Child extends Component {
+		render() {
+			return h('span', {}, 'child');
+		}
+	}
+
+	it('points ref objects at host nodes and component instances', () => {
+		const node = createRef();
+		const instance = createRef();
+		const tree = create(h('div', { ref: node }, h(Child, { ref: instance })));
+
+		assert.strictEqual(node.current, tree.findByType('div'));
+		assert.ok(instance.current instanceof Child);
+
+		tree.unmount();
+
+		assert.strictEqual(node.current, null);
+		assert.strictEqual(instance.current, null);
+	});
+
+	it('invokes callback refs when they are attached and detached', () => {
+		const calls = [];
+		const first = value => calls.push(['first', value && value.type]);
+		const second = value => calls.push(['second', value && value.type]);
+		const tree = create(h('p', { ref: first }));
+
+		tree.update(h('p', { ref: second }));
+		tree.unmount();
+
+		assert.deepStrictEqual(calls, 
+			[['first', 'p'], ['first', null], ['second', 'p'], ['second', null]]);
+	});
+
+	it('sets the refs before componentDidMount', () => {
+		let mounted;
+
+		class Parent extends Component {
+			constructor(props, context) {
+				super(props, context);
+				this.span = createRef();
+			}
+
+			componentDidMount() {
+				mounted = this.span.current;
+			}
+
+			render() {
+				return h('div', {}, h('span', { ref: this.span }));
+			}
+		}
+
+		const tree = create(h(Parent));
+
+		assert.strictEqual(mounted, tree.findByType('span'));
+	});
+});
+
+describe('transition hooks', () => {
+	let entered, left;
+
+	class Fade extends Component {
+		componentWillEnter(done) {
+			entered.push(done);
+		}
+
+		componentWillLeave(done) {
+			left.push(done);
+		}
+
+		render({ text }) {
+			return h('p', {}, text);
+		}
+	}
+
+	it('lets added nodes enter and keeps leaving nodes until they are done', () => {
+		entered = [];
+		left = [];
+		const tree = create(h('div', {}, h(Fade, { key: 'a', text: 'a' })));
+
+		assert.strictEqual(entered.length, 0);
+
+		tree.update(h('div', {}, h(Fade, { key: 'b', text: 'b' })));
+
+		assert.strictEqual(entered.length, 1);
+		assert.strictEqual(left.length, 1);
+		assert.strictEqual(tree.findByType('div').textContent, 'ab');
+
+		left[0]();
+
+		assert.strictEqual(tree.findByType('div').textContent, 'b');
+	});
+});